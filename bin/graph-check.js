@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+'use strict';
+
+// Headless runner for graph-preprocessing.js: loads a graph JSON, classifies
+// it, prints the status breakdown and security summary, and exits non-zero
+// when a configured threshold is exceeded so CI can gate on the result.
+
+const fs = require('fs');
+const { GraphPreprocessing } = require('../public/js/graph-preprocessing.js');
+
+const EXIT_OK = 0;
+const EXIT_THRESHOLD = 1;
+const EXIT_USAGE = 2;
+
+const SEVERITY_ORDER = ['critical', 'high', 'med', 'low', 'info', 'unknown'];
+
+const USAGE = `Usage: node bin/graph-check.js <graph.json> [options]
+
+Options:
+  --profile <name>            Report and gate on this profile (repeatable; default: all)
+  --profiles-file <file>      Replace the graph's profile definitions with this JSON
+  --keep-rules <file>         Extra keep rules (JSON array or { "keepRules": [...] }; repeatable)
+  --baseline <graph.json>     Previous graph used by --max-new-disconnected
+  --security-baseline <file>  Accepted/suppressed findings; security thresholds then count new findings only
+  --max-disconnected <n>      Fail when more than n files are disconnected in every profile
+  --max-new-disconnected <n>  Fail when more than n files became disconnected since --baseline
+  --fail-on <severity>        Fail on any finding at or above critical|high|med|low|info
+  --max-findings <n>          Fail when the total number of security findings exceeds n
+  --max-violations <n>        Fail when architecture rule violations exceed n
+  --max-cycles <n>            Fail when the number of import cycles exceeds n
+  --json                      Print the report as JSON
+  -h, --help                  Show this help
+`;
+
+class UsageError extends Error {}
+
+const NUMERIC_OPTIONS = {
+  '--max-disconnected': 'maxDisconnected',
+  '--max-new-disconnected': 'maxNewDisconnected',
+  '--max-findings': 'maxFindings',
+  '--max-violations': 'maxViolations',
+  '--max-cycles': 'maxCycles'
+};
+
+function parseArgs(argv){
+  const options = { profiles: [], keepRuleFiles: [], thresholds: {}, json: false, help: false };
+  const takeValue = (flag, idx) => {
+    const value = argv[idx + 1];
+    if(value == null || value.startsWith('--')) throw new UsageError(`${flag} expects a value`);
+    return value;
+  };
+  for(let i = 0; i < argv.length; i += 1){
+    const arg = argv[i];
+    if(arg === '-h' || arg === '--help'){
+      options.help = true;
+    } else if(arg === '--json'){
+      options.json = true;
+    } else if(arg === '--profile'){
+      options.profiles.push(takeValue(arg, i));
+      i += 1;
+    } else if(arg === '--profiles-file'){
+      options.profilesFile = takeValue(arg, i);
+      i += 1;
+    } else if(arg === '--keep-rules'){
+      options.keepRuleFiles.push(takeValue(arg, i));
+      i += 1;
+    } else if(arg === '--baseline'){
+      options.baseline = takeValue(arg, i);
+      i += 1;
+    } else if(arg === '--security-baseline'){
+      options.securityBaseline = takeValue(arg, i);
+      i += 1;
+    } else if(arg === '--fail-on'){
+      const severity = GraphPreprocessing.helpers.normalizeSecuritySeverity(takeValue(arg, i));
+      if(!SEVERITY_ORDER.includes(severity) || severity === 'unknown'){
+        throw new UsageError(`--fail-on expects one of ${SEVERITY_ORDER.slice(0, -1).join(', ')}`);
+      }
+      options.thresholds.failOn = severity;
+      i += 1;
+    } else if(Object.prototype.hasOwnProperty.call(NUMERIC_OPTIONS, arg)){
+      const value = Number(takeValue(arg, i));
+      if(!Number.isInteger(value) || value < 0) throw new UsageError(`${arg} expects a non-negative integer`);
+      options.thresholds[NUMERIC_OPTIONS[arg]] = value;
+      i += 1;
+    } else if(arg.startsWith('-')){
+      throw new UsageError(`Unknown option: ${arg}`);
+    } else if(!options.graph){
+      options.graph = arg;
+    } else {
+      throw new UsageError(`Unexpected argument: ${arg}`);
+    }
+  }
+  if(!options.help && !options.graph) throw new UsageError('Missing graph file');
+  if(options.thresholds.maxNewDisconnected != null && !options.baseline){
+    throw new UsageError('--max-new-disconnected requires --baseline');
+  }
+  return options;
+}
+
+function readJson(file){
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new UsageError(`Cannot read ${file}: ${err.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new UsageError(`Invalid JSON in ${file}: ${err.message}`);
+  }
+}
+
+// Accepts anything the viewer can load: native graph JSON, madge,
+// dependency-cruiser, webpack stats, DOT or GraphML.
+function readGraph(file){
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new UsageError(`Cannot read ${file}: ${err.message}`);
+  }
+  try {
+    return GraphPreprocessing.importGraph(text, { name: file }).rawGraph;
+  } catch (err) {
+    throw new UsageError(`Invalid graph in ${file}: ${err.message}`);
+  }
+}
+
+function readKeepRules(files){
+  return files.flatMap(file => {
+    const data = readJson(file);
+    const list = Array.isArray(data) ? data : (data && Array.isArray(data.keepRules) ? data.keepRules : null);
+    if(!list) throw new UsageError(`${file} must contain an array of keep rules or { "keepRules": [...] }`);
+    return list;
+  });
+}
+
+function processGraph(rawGraph, options, localKeepRules, securityBaseline){
+  const graphInput = options.profilesFile
+    ? { ...rawGraph, profiles: readJson(options.profilesFile) }
+    : rawGraph;
+  return GraphPreprocessing.preprocessGraph({
+    rawGraph: graphInput,
+    keepRuleConfig: Array.isArray(rawGraph.keepRules) ? rawGraph.keepRules : [],
+    localKeepRules,
+    securityBaseline
+  });
+}
+
+function isDisconnected(node, profileNames){
+  return profileNames.some(name => (node.statusByProfile?.[name] || []).includes('disconnected_all_profiles'));
+}
+
+function selectProfiles(result, requested){
+  const available = result.profiles.map(profile => profile.name);
+  if(!requested.length) return available;
+  const missing = requested.filter(name => !available.includes(name));
+  if(missing.length){
+    throw new UsageError(`Unknown profile${missing.length === 1 ? '' : 's'}: ${missing.join(', ')} (available: ${available.join(', ')})`);
+  }
+  return requested;
+}
+
+function buildReport(options){
+  const rawGraph = readGraph(options.graph);
+  const localKeepRules = readKeepRules(options.keepRuleFiles);
+  const securityBaseline = options.securityBaseline ? readJson(options.securityBaseline) : null;
+  const result = processGraph(rawGraph, options, localKeepRules, securityBaseline);
+  const profileNames = selectProfiles(result, options.profiles);
+  const nodes = result.graph.nodes;
+
+  const statuses = {};
+  profileNames.forEach(name => {
+    const counts = {};
+    GraphPreprocessing.STATUS_ORDER.forEach(status => { counts[status] = 0; });
+    nodes.forEach(node => {
+      const primary = node.primaryByProfile?.[name] || 'disconnected_all_profiles';
+      counts[primary] = (counts[primary] || 0) + 1;
+    });
+    statuses[name] = counts;
+  });
+
+  const disconnected = nodes.filter(node => isDisconnected(node, profileNames)).map(node => node.id);
+  const report = {
+    graph: options.graph,
+    nodes: nodes.length,
+    edges: result.graph.edges.length,
+    profiles: profileNames,
+    statuses,
+    disconnected,
+    security: result.summary.security,
+    cycles: { count: result.summary.cycles.count, nodesInCycles: result.summary.cycles.nodesInCycles },
+    architecture: { ruleCount: result.summary.architecture.ruleCount, violationCount: result.summary.architecture.violationCount }
+  };
+
+  if(options.baseline){
+    const baselineRaw = readGraph(options.baseline);
+    const baseline = processGraph(baselineRaw, options, localKeepRules, securityBaseline);
+    const diff = GraphPreprocessing.diffGraphs(
+      { graph: baseline.graph, rawGraph: baselineRaw },
+      { graph: result.graph, rawGraph }
+    );
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const fresh = new Set();
+    diff.nodes.added.forEach(entry => {
+      const node = byId.get(entry.id);
+      if(node && isDisconnected(node, profileNames)) fresh.add(entry.id);
+    });
+    diff.nodes.changed.forEach(entry => {
+      if(!entry.statusByProfile) return;
+      const becameDisconnected = profileNames.some(name => {
+        const change = entry.statusByProfile[name];
+        return change && change.after.includes('disconnected_all_profiles') && !change.before.includes('disconnected_all_profiles');
+      });
+      if(becameDisconnected) fresh.add(entry.id);
+    });
+    report.baseline = options.baseline;
+    report.newDisconnected = Array.from(fresh).sort();
+  }
+  if(options.securityBaseline) report.securityBaseline = options.securityBaseline;
+
+  report.checks = evaluateThresholds(report, options.thresholds);
+  report.passed = report.checks.every(check => check.passed);
+  return report;
+}
+
+function evaluateThresholds(report, thresholds){
+  const checks = [];
+  const limit = (name, actual, max) => {
+    if(max == null) return;
+    checks.push({ name, actual, limit: max, passed: actual <= max });
+  };
+  limit('disconnected files', report.disconnected.length, thresholds.maxDisconnected);
+  if(report.newDisconnected) limit('new disconnected files', report.newDisconnected.length, thresholds.maxNewDisconnected);
+  const baselined = !!report.securityBaseline;
+  limit(baselined ? 'new security findings' : 'security findings', baselined ? report.security.byBaseline.new : report.security.totalFindings, thresholds.maxFindings);
+  limit('architecture violations', report.architecture.violationCount, thresholds.maxViolations);
+  limit('import cycles', report.cycles.count, thresholds.maxCycles);
+  if(thresholds.failOn){
+    const cutoff = SEVERITY_ORDER.indexOf(thresholds.failOn);
+    const actual = Object.entries((baselined ? report.security.newBySeverity : report.security.bySeverity) || {})
+      .filter(([severity]) => {
+        const idx = SEVERITY_ORDER.indexOf(severity);
+        return idx !== -1 && idx <= cutoff;
+      })
+      .reduce((sum, [, count]) => sum + count, 0);
+    checks.push({ name: `${baselined ? 'new ' : ''}findings at or above ${thresholds.failOn}`, actual, limit: 0, passed: actual === 0 });
+  }
+  return checks;
+}
+
+function formatReport(report){
+  const lines = [];
+  lines.push(`Graph: ${report.graph} (${report.nodes} nodes, ${report.edges} edges)`);
+  report.profiles.forEach(name => {
+    lines.push('');
+    lines.push(`Profile ${name}`);
+    Object.entries(report.statuses[name]).forEach(([status, count]) => {
+      lines.push(`  ${status.padEnd(28)}${String(count).padStart(6)}`);
+    });
+  });
+  lines.push('');
+  const security = report.security;
+  const severities = SEVERITY_ORDER
+    .filter(severity => security.bySeverity && security.bySeverity[severity])
+    .map(severity => `${severity} ${security.bySeverity[severity]}`);
+  lines.push(`Security: ${security.totalFindings} finding${security.totalFindings === 1 ? '' : 's'} on ${security.affectedNodes} node${security.affectedNodes === 1 ? '' : 's'}${severities.length ? ` (${severities.join(', ')})` : ''}`);
+  if(report.securityBaseline){
+    const split = security.byBaseline;
+    lines.push(`  ${split.new} new, ${split.baselined} baselined, ${split.suppressed} suppressed (${report.securityBaseline})`);
+  }
+  lines.push(`Cycles: ${report.cycles.count} (${report.cycles.nodesInCycles} nodes)`);
+  if(report.architecture.ruleCount){
+    lines.push(`Architecture: ${report.architecture.violationCount} violation${report.architecture.violationCount === 1 ? '' : 's'} across ${report.architecture.ruleCount} rule${report.architecture.ruleCount === 1 ? '' : 's'}`);
+  }
+  if(report.newDisconnected){
+    lines.push(`New disconnected since ${report.baseline}: ${report.newDisconnected.length}`);
+    report.newDisconnected.forEach(id => lines.push(`  + ${id}`));
+  }
+  if(report.checks.length){
+    lines.push('');
+    lines.push('Checks');
+    report.checks.forEach(check => {
+      lines.push(`  ${check.passed ? 'PASS' : 'FAIL'} ${check.name}: ${check.actual} (limit ${check.limit})`);
+    });
+  }
+  return lines.join('\n');
+}
+
+function run(argv, io = { stdout: process.stdout, stderr: process.stderr }){
+  let options;
+  try {
+    options = parseArgs(argv);
+    if(options.help){
+      io.stdout.write(USAGE);
+      return EXIT_OK;
+    }
+    const report = buildReport(options);
+    io.stdout.write(`${options.json ? JSON.stringify(report, null, 2) : formatReport(report)}\n`);
+    return report.passed ? EXIT_OK : EXIT_THRESHOLD;
+  } catch (err) {
+    if(err instanceof UsageError){
+      io.stderr.write(`${err.message}\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    io.stderr.write(`${err && err.stack ? err.stack : err}\n`);
+    return EXIT_USAGE;
+  }
+}
+
+module.exports = { run, parseArgs, buildReport };
+
+if(require.main === module){
+  process.exitCode = run(process.argv.slice(2));
+}
@@ -142,6 +142,118 @@
     });
   }
 
+  function computeStronglyConnectedComponents(graph){
+    const ids = graph.nodes.map(node => node.id).filter(id => id != null);
+    const known = new Set(ids);
+    const adjacency = new Map();
+    graph.edges.forEach(edge => {
+      const src = nodeId(edge.source);
+      const tgt = nodeId(edge.target);
+      if(!known.has(src) || !known.has(tgt)) return;
+      if(!adjacency.has(src)) adjacency.set(src, []);
+      adjacency.get(src).push(edge);
+    });
+
+    // Iterative Tarjan so deep import chains cannot overflow the call stack.
+    const index = new Map();
+    const lowlink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    const closingEdges = [];
+    let counter = 0;
+    const visit = (id) => {
+      index.set(id, counter);
+      lowlink.set(id, counter);
+      counter += 1;
+      stack.push(id);
+      onStack.add(id);
+      return { id, edges: adjacency.get(id) || [], pos: 0 };
+    };
+
+    ids.forEach(root => {
+      if(index.has(root)) return;
+      const work = [visit(root)];
+      while(work.length){
+        const frame = work[work.length - 1];
+        if(frame.pos < frame.edges.length){
+          const edge = frame.edges[frame.pos++];
+          const tgt = nodeId(edge.target);
+          if(!index.has(tgt)){
+            work.push(visit(tgt));
+          } else if(onStack.has(tgt)){
+            lowlink.set(frame.id, Math.min(lowlink.get(frame.id), index.get(tgt)));
+            closingEdges.push(edge);
+          }
+          continue;
+        }
+        work.pop();
+        if(work.length){
+          const parent = work[work.length - 1];
+          lowlink.set(parent.id, Math.min(lowlink.get(parent.id), lowlink.get(frame.id)));
+        }
+        if(lowlink.get(frame.id) === index.get(frame.id)){
+          const members = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            members.push(member);
+          } while(member !== frame.id);
+          components.push(members);
+        }
+      }
+    });
+
+    return { components, closingEdges };
+  }
+
+  function annotateCycles(graph){
+    const { components, closingEdges } = computeStronglyConnectedComponents(graph);
+    const componentOf = new Map();
+    components.forEach((members, idx) => members.forEach(id => componentOf.set(id, idx)));
+
+    const closingByComponent = new Map();
+    closingEdges.forEach(edge => {
+      const src = nodeId(edge.source);
+      const idx = componentOf.get(src);
+      if(idx == null || componentOf.get(nodeId(edge.target)) !== idx) return;
+      if(!closingByComponent.has(idx)) closingByComponent.set(idx, []);
+      closingByComponent.get(idx).push(edge);
+    });
+
+    const cyclic = components
+      .map((members, idx) => ({ idx, members }))
+      .filter(({ idx, members }) => members.length > 1 || closingByComponent.has(idx));
+    cyclic.sort((a, b) => (b.members.length - a.members.length) || String(a.members[0]).localeCompare(String(b.members[0])));
+
+    const cycleIdByComponent = new Map();
+    const cycles = cyclic.map(({ idx, members }, order) => {
+      const id = order + 1;
+      cycleIdByComponent.set(idx, id);
+      const edges = (closingByComponent.get(idx) || []).map(edge => {
+        const entry = { source: nodeId(edge.source), target: nodeId(edge.target) };
+        const kind = edge.kind || edge.type;
+        if(kind) entry.kind = String(kind);
+        return entry;
+      });
+      return { id, size: members.length, nodes: members.slice().sort(), closingEdges: edges };
+    });
+
+    graph.nodes.forEach(node => {
+      const idx = componentOf.get(node.id);
+      node.componentId = idx == null ? null : idx;
+      node.cycleId = idx == null ? null : (cycleIdByComponent.get(idx) ?? null);
+    });
+
+    return {
+      count: cycles.length,
+      nodesInCycles: cycles.reduce((sum, cycle) => sum + cycle.size, 0),
+      largest: cycles.length ? cycles[0].size : 0,
+      cycles
+    };
+  }
+
   function edgeTypeString(edge){
     return String(edge?.type || edge?.kind || edge?.mode || '').toLowerCase();
   }
@@ -161,6 +273,15 @@
     return t.includes('dynamic') || t.includes('require.ensure') || t.includes('eval');
   }
 
+  // Runtime traces add edges the crawler never saw (`certainty: 'observed'`)
+  // and confirm static ones (`tracedCount`); crawlers may report their own
+  // runtime evidence as `observedCount` or `observed`.
+  function edgeEvidence(edge){
+    if(!edge) return 'static';
+    if(edge.certainty === 'observed') return 'observed';
+    return (edge.tracedCount > 0 || edge.observedCount > 0 || edge.observed === true) ? 'both' : 'static';
+  }
+
   function edgePhase(edge){
     if(!edge) return 'runtime';
     const phaseSource = edge.phase || edge.stage || edge.scope || edge.context || edgeTypeString(edge);
@@ -270,6 +391,45 @@
     return list;
   }
 
+  // Profiles defined in the viewer are appended to the graph's own; a local
+  // profile never replaces one that comes from the graph file.
+  function mergeLocalProfiles(graphProfiles, localProfiles){
+    const valid = Array.isArray(localProfiles)
+      ? localProfiles.filter(profile => profile && typeof profile === 'object' && typeof profile.name === 'string' && profile.name.trim())
+      : [];
+    if(!valid.length) return graphProfiles;
+    const names = new Set(graphProfiles.map(profile => profile.name));
+    const merged = graphProfiles.slice();
+    normalizeProfiles({ profiles: valid }).forEach(profile => {
+      if(names.has(profile.name)) return;
+      names.add(profile.name);
+      merged.push(profile);
+    });
+    return merged;
+  }
+
+  // Flag names referenced by edge conditions or profile definitions, with the
+  // string values edges compare against (boolean flags have none).
+  function collectProfileFlags(edges, profiles){
+    const flags = new Map();
+    const note = (name, value) => {
+      if(!flags.has(name)) flags.set(name, new Set());
+      if(typeof value === 'string' && value) flags.get(name).add(value);
+    };
+    (edges || []).forEach(edge => {
+      if(edge && edge.flags && typeof edge.flags === 'object'){
+        Object.entries(edge.flags).forEach(([name, value]) => note(name, value));
+      }
+    });
+    (profiles || []).forEach(profile => {
+      Object.entries(profile?.flags || {}).forEach(([name, value]) => note(name, value));
+    });
+    return Array.from(flags.keys()).sort((a, b) => a.localeCompare(b)).map(name => ({
+      name,
+      values: Array.from(flags.get(name)).sort((a, b) => a.localeCompare(b))
+    }));
+  }
+
   function compileRule(rule){
     if(!rule) return null;
     if(rule instanceof RegExp) return rule;
@@ -277,29 +437,79 @@
       try { return new RegExp(rule); } catch { return null; }
     }
     if(typeof rule === 'object'){
+      if(rule.disabled === true) return null;
       if(typeof rule.regex === 'string'){
         try { return new RegExp(rule.regex, rule.flags || ''); } catch { return null; }
       }
       if(typeof rule.pattern === 'string'){
-        const glob = rule.glob === true;
-        const base = glob
-          ? `^${rule.pattern.replace(/[.+^${}()|\[\]\\]/g,'\\$&').replace(/\*/g,'.*')}$`
-          : rule.pattern;
-        try { return new RegExp(base, rule.flags || ''); } catch { return null; }
+        try {
+          return rule.glob === true ? globToRegExp(rule.pattern, rule.flags || '') : new RegExp(rule.pattern, rule.flags || '');
+        } catch { return null; }
       }
     }
     return null;
   }
 
+  // Identifies a rule by its kind and pattern, ignoring flags, notes and
+  // whether it is enabled.
+  function keepRuleText(rule){
+    if(typeof rule === 'string') return `regex:${rule}`;
+    if(!rule || typeof rule !== 'object') return '';
+    if(typeof rule.regex === 'string') return `regex:${rule.regex}`;
+    if(typeof rule.pattern === 'string') return `${rule.glob === true ? 'glob' : 'regex'}:${rule.pattern}`;
+    return '';
+  }
+
+  // A disabled local rule with the same text as a graph-file rule switches
+  // that rule off, since graph-file rules cannot be edited in place.
+  function activeConfigKeepRules(keepRuleConfig = [], localKeepRules = []){
+    const overrides = new Set(localKeepRules.filter(rule => rule && rule.disabled === true).map(keepRuleText));
+    return keepRuleConfig.filter(rule => !overrides.has(keepRuleText(rule)));
+  }
+
   function compileKeepRules(keepRuleConfig = [], localKeepRules = []){
     const compiled = [];
-    [...keepRuleConfig, ...localKeepRules].forEach(rule => {
+    [...activeConfigKeepRules(keepRuleConfig, localKeepRules), ...localKeepRules].forEach(rule => {
       const re = compileRule(rule);
       if(re) compiled.push(re);
     });
     return compiled;
   }
 
+  // The rules a keep-rule file should carry: switched-off graph-file rules
+  // are left out, so only their disabled override is written.
+  function keepRulesForExport(keepRuleConfig = [], localKeepRules = []){
+    return normalizeKeepRules(activeConfigKeepRules(keepRuleConfig, localKeepRules).concat(localKeepRules));
+  }
+
+  // Keep-rule files are either a bare array or `{ keepRules: [...] }`. Rules
+  // come back as objects (`{ regex }` or `{ pattern, glob }`, plus optional
+  // `flags`, `disabled` and `note`) so the viewer can edit them in place;
+  // rules that do not compile are dropped.
+  function normalizeKeepRules(doc){
+    const list = Array.isArray(doc) ? doc : (doc && Array.isArray(doc.keepRules) ? doc.keepRules : []);
+    const rules = [];
+    list.forEach(rule => {
+      let normalized = null;
+      if(typeof rule === 'string'){
+        normalized = { regex: rule };
+      } else if(rule && typeof rule === 'object'){
+        if(typeof rule.regex === 'string'){
+          normalized = { regex: rule.regex };
+        } else if(typeof rule.pattern === 'string'){
+          normalized = rule.glob === true ? { pattern: rule.pattern, glob: true } : { regex: rule.pattern };
+        }
+        if(normalized){
+          if(typeof rule.flags === 'string' && rule.flags) normalized.flags = rule.flags;
+          if(rule.disabled === true) normalized.disabled = true;
+          if(typeof rule.note === 'string' && rule.note.trim()) normalized.note = rule.note.trim();
+        }
+      }
+      if(normalized && compileRule({ ...normalized, disabled: false })) rules.push(normalized);
+    });
+    return rules;
+  }
+
   const STATUS_ORDER = [
     'reachable_current',
     'deferred_only',
@@ -329,32 +539,89 @@
     });
     const starts = entrypoints.length ? entrypoints : graph.nodes.slice(0,1).map(node => node.id).filter(Boolean);
     const uniqueStarts = Array.from(new Set(starts));
+    // Breadth-first so the recorded predecessor chain is a shortest witness path.
     const traverse = (filterFn) => {
       const seen = new Set();
-      const stack = uniqueStarts.slice();
-      while(stack.length){
-        const id = stack.pop();
-        if(!id || seen.has(id)) continue;
+      const parents = new Map();
+      const queue = [];
+      uniqueStarts.forEach(id => {
+        if(!id || seen.has(id)) return;
         seen.add(id);
-        const edges = adjacency.get(id);
+        parents.set(id, null);
+        queue.push(id);
+      });
+      for(let head = 0; head < queue.length; head += 1){
+        const edges = adjacency.get(queue[head]);
         if(!edges) continue;
         edges.forEach(edge => {
           if(filterFn && !filterFn(edge)) return;
           const tgt = nodeId(edge.target);
-          if(tgt && !seen.has(tgt)) stack.push(tgt);
+          if(!tgt || seen.has(tgt)) return;
+          seen.add(tgt);
+          parents.set(tgt, queue[head]);
+          queue.push(tgt);
         });
       }
-      return seen;
+      return { seen, parents };
+    };
+
+    const all = traverse(()=>true);
+    const noDeferred = traverse(edge => !isDeferredEdge(edge));
+    const noDynamic = traverse(edge => !isDynamicEdge(edge) && edgeEvidence(edge) !== 'observed');
+    const runtime = traverse(edge => edgePhase(edge) === 'runtime');
+    const staticOnly = traverse(edge => edgeEvidence(edge) !== 'observed');
+    const observed = traverse(edge => edgeEvidence(edge) !== 'static');
+    const reachableTest = traverse(edge => edgePhase(edge) !== 'build').seen;
+    const reachableBuild = traverse(edge => edgePhase(edge) !== 'test').seen;
+
+    return {
+      profile,
+      adjacency,
+      reachableAll: all.seen,
+      reachableNoDeferred: noDeferred.seen,
+      reachableNoDynamic: noDynamic.seen,
+      reachableRuntime: runtime.seen,
+      reachableTest,
+      reachableBuild,
+      reachableStatic: staticOnly.seen,
+      reachableObserved: observed.seen,
+      witnesses: {
+        all: all.parents,
+        runtime: runtime.parents,
+        noDeferred: noDeferred.parents,
+        noDynamic: noDynamic.parents,
+        static: staticOnly.parents,
+        observed: observed.parents
+      }
     };
+  }
 
-    const reachableAll = traverse(()=>true);
-    const reachableNoDeferred = traverse(edge => !isDeferredEdge(edge));
-    const reachableNoDynamic = traverse(edge => !isDynamicEdge(edge));
-    const reachableRuntime = traverse(edge => edgePhase(edge) === 'runtime');
-    const reachableTest = traverse(edge => edgePhase(edge) !== 'build');
-    const reachableBuild = traverse(edge => edgePhase(edge) !== 'test');
+  // Start nodes map to a null parent; a target missing from `parents` was
+  // never reached and has no path.
+  function buildWitnessPath(parents, target){
+    if(target == null || !parents) return null;
+    const lookup = parents instanceof Map
+      ? parents
+      : new Map(Array.isArray(parents) ? parents : Object.entries(parents));
+    if(!lookup.has(target)) return null;
+    const path = [target];
+    const guard = new Set(path);
+    let current = target;
+    while(lookup.has(current)){
+      current = lookup.get(current);
+      if(current == null || guard.has(current)) break;
+      guard.add(current);
+      path.push(current);
+    }
+    return path.reverse();
+  }
 
-    return { profile, adjacency, reachableAll, reachableNoDeferred, reachableNoDynamic, reachableRuntime, reachableTest, reachableBuild };
+  function serializeWitnesses(witnesses){
+    const out = {};
+    Object.entries(witnesses || {}).forEach(([variant, parents]) => {
+      out[variant] = parents instanceof Map ? Array.from(parents) : [];
+    });
+    return out;
   }
 
   function determineNodeStatuses(node, res, reachByNode, compiledKeepRules){
@@ -389,8 +656,17 @@
   }
 
   function classifyGraph(graph, profiles, entrypoints, options){
-    const compiledKeepRules = options?.compiledKeepRules || [];
-    const profileResults = profiles.map(profile => computeProfileReachability(graph, entrypoints, profile));
+    const report = typeof options?.onProgress === 'function' ? options.onProgress : null;
+    const profileResults = profiles.map((profile, idx) => {
+      if(report) report({ phase: 'reachability', profile: profile.name, index: idx + 1, total: profiles.length });
+      return computeProfileReachability(graph, entrypoints, profile);
+    });
+    if(report) report({ phase: 'classify' });
+    assignNodeStatuses(graph, profileResults, options?.compiledKeepRules || []);
+    return profileResults;
+  }
+
+  function assignNodeStatuses(graph, profileResults, compiledKeepRules){
     const reachByNode = new Map();
     profileResults.forEach(res => {
       res.reachableAll.forEach(id => {
@@ -412,737 +688,3914 @@
         node.primaryByProfile[res.profile.name] = primary;
       });
     });
+  }
 
-    return profileResults;
+  // One row per node with its primary status in every profile; `differs`
+  // marks rows whose status is not the same across all profiles.
+  function buildProfileMatrix(nodes, profiles){
+    const names = (profiles || []).map(profile => (typeof profile === 'string' ? profile : profile?.name)).filter(Boolean);
+    const rows = (nodes || []).filter(node => node && node.id != null).map(node => {
+      const statuses = {};
+      names.forEach(name => {
+        statuses[name] = node.primaryByProfile?.[name] || 'disconnected_all_profiles';
+      });
+      return { id: node.id, statuses, differs: new Set(Object.values(statuses)).size > 1 };
+    });
+    return { profiles: names, rows };
   }
 
-  function toSerializableRegexList(list){
-    return list.map(re => ({ source: re.source, flags: re.flags }));
+  // Severity propagates backwards along each profile's active edges: a node
+  // is charged for its own findings plus every finding it transitively
+  // imports. Suppressed findings carry no risk.
+  const RISK_SEVERITY_WEIGHTS = { critical: 10, high: 7, med: 4, low: 1, info: 0, unknown: 2 };
+  const RISK_SEVERITY_RANK = ['critical', 'high', 'med', 'low', 'info', 'unknown'];
+
+  function riskSeverityRank(severity){
+    const idx = RISK_SEVERITY_RANK.indexOf(severity);
+    return idx === -1 ? RISK_SEVERITY_RANK.length : idx;
   }
 
-  const EXPORT_ID_KEYS = ['id', 'node', 'file', 'path', 'module'];
-  const EXPORT_GROUP_KEYS = ['groups', 'exports', 'symbols', 'values', 'items', 'members', 'entries', 'data', 'list'];
-  const EXPORT_SKIP_KEYS = new Set([...EXPORT_ID_KEYS, ...EXPORT_GROUP_KEYS, 'meta', 'summary', 'stats', 'count', 'type', 'kind', 'category', 'description']);
-  const createExportVisitTracker = ()=> typeof WeakSet !== 'undefined' ? new WeakSet() : null;
+  function computeSecurityExposure(graph, profileResults, entrypoints){
+    const sources = [];
+    graph.nodes.forEach(node => {
+      node.riskByProfile = {};
+      const findings = collectNodeSecurityFindings(node)
+        .filter(finding => !(finding.suppression && finding.suppression.state === 'suppressed'))
+        .map(finding => {
+          const severity = normalizeSecuritySeverity(finding.severityNormalized != null ? finding.severityNormalized : finding.severity);
+          const item = { node: node.id, severity, message: finding.message || '' };
+          if(finding.id != null) item.id = finding.id;
+          if(Number.isFinite(finding.line)) item.line = finding.line;
+          return item;
+        });
+      if(!findings.length) return;
+      const own = findings.reduce((sum, item) => sum + (RISK_SEVERITY_WEIGHTS[item.severity] != null ? RISK_SEVERITY_WEIGHTS[item.severity] : RISK_SEVERITY_WEIGHTS.unknown), 0);
+      sources.push({ id: node.id, own, findings });
+    });
+    const ownById = new Map(sources.map(source => [source.id, source]));
+    const sourceBit = new Map(sources.map((source, idx) => [source.id, idx]));
+    const words = Math.ceil(sources.length / 32);
+    const nodeById = new Map(graph.nodes.map(node => [node.id, node]));
+    const entrySet = new Set(entrypoints);
+    const sourcesIn = (bits) => sources.filter((_, idx) => bits[idx >>> 5] & (1 << (idx & 31)));
 
-  const SECURITY_SEVERITY_ALIASES = new Map([
-    ['crit', 'critical'],
-    ['critical', 'critical'],
-    ['severe', 'high'],
-    ['high', 'high'],
-    ['warn', 'med'],
-    ['warning', 'med'],
-    ['medium', 'med'],
-    ['med', 'med'],
-    ['moderate', 'med'],
-    ['medium-high', 'med'],
-    ['medium_low', 'med'],
-    ['low', 'low'],
-    ['info', 'info'],
-    ['informational', 'info'],
-    ['note', 'info'],
-    ['unknown', 'unknown']
-  ]);
+    const byProfile = {};
+    profileResults.forEach(res => {
+      const name = res.profile.name;
+      const edges = [];
+      res.adjacency.forEach(list => edges.push(...list));
+      // One pass over the condensation: Tarjan emits a component only after
+      // everything it reaches, so each component's set of reachable finding
+      // nodes is its own plus the union of its successors'.
+      const { components } = computeStronglyConnectedComponents({ nodes: graph.nodes, edges });
+      const componentOf = new Map();
+      components.forEach((members, idx) => members.forEach(id => componentOf.set(id, idx)));
+      const reach = new Array(components.length);
+      const pulled = new Map();
+      const entryFindings = new Map();
+      components.forEach((members, idx) => {
+        const bits = new Uint32Array(words);
+        members.forEach(id => {
+          if(sourceBit.has(id)) bits[sourceBit.get(id) >>> 5] |= 1 << (sourceBit.get(id) & 31);
+          (res.adjacency.get(id) || []).forEach(edge => {
+            const other = componentOf.get(nodeId(edge.target));
+            if(other == null || other === idx) return;
+            const otherBits = reach[other];
+            for(let w = 0; w < words; w += 1) bits[w] |= otherBits[w];
+          });
+        });
+        reach[idx] = bits;
+        if(!bits.some(word => word !== 0)) return;
+        const reached = sourcesIn(bits);
+        const score = reached.reduce((sum, source) => sum + source.own, 0);
+        const findings = reached.reduce((sum, source) => sum + source.findings.length, 0);
+        members.forEach(id => {
+          const own = ownById.get(id);
+          const transitive = { score: score - (own ? own.own : 0), findings: findings - (own ? own.findings.length : 0) };
+          if(transitive.findings || transitive.score) pulled.set(id, transitive);
+          if(entrySet.has(id)) entryFindings.set(id, reached.flatMap(source => source.findings));
+        });
+      });
 
-  function normalizeSecuritySeverity(value){
-    if(value == null) return 'unknown';
-    const raw = String(value).trim().toLowerCase();
-    if(!raw) return 'unknown';
-    if(SECURITY_SEVERITY_ALIASES.has(raw)) return SECURITY_SEVERITY_ALIASES.get(raw);
-    if(raw.startsWith('crit')) return 'critical';
-    if(raw.startsWith('hi')) return 'high';
-    if(raw.startsWith('med')) return 'med';
-    if(raw.startsWith('mod')) return 'med';
-    if(raw.startsWith('low')) return 'low';
-    if(raw.startsWith('info')) return 'info';
-    return raw;
-  }
+      let maxScore = 0;
+      let exposedFindings = 0;
+      graph.nodes.forEach(node => {
+        const own = ownById.get(node.id);
+        const transitive = pulled.get(node.id);
+        const exposed = res.reachableAll.has(node.id);
+        const risk = {
+          score: (own ? own.own : 0) + (transitive ? transitive.score : 0),
+          own: own ? own.own : 0,
+          transitive: transitive ? transitive.score : 0,
+          findings: (own ? own.findings.length : 0) + (transitive ? transitive.findings : 0),
+          exposed
+        };
+        node.riskByProfile[name] = risk;
+        if(risk.score > maxScore) maxScore = risk.score;
+        if(own && exposed) exposedFindings += own.findings.length;
+      });
 
-  function normalizeSecurityFinding(raw){
-    if(!raw || typeof raw !== 'object') return null;
-    const id = raw.id != null ? String(raw.id) : null;
-    const message = raw.message != null ? String(raw.message) : '';
-    const severity = raw.severity != null ? String(raw.severity) : '';
-    const severityNormalized = normalizeSecuritySeverity(raw.severityNormalized != null ? raw.severityNormalized : severity);
-    const line = Number.isFinite(raw.line) ? Number(raw.line) : null;
-    const code = raw.code != null ? String(raw.code) : null;
-    return {
-      id,
-      message,
-      severity,
-      severityNormalized,
-      line,
-      code
-    };
+      byProfile[name] = {
+        maxScore,
+        exposedFindings,
+        entrypoints: entrypoints.map(id => {
+          const findings = (entryFindings.get(id) || []).slice().sort((a, b) => (
+            riskSeverityRank(a.severity) - riskSeverityRank(b.severity) || String(a.node).localeCompare(String(b.node))
+          ));
+          const risk = nodeById.get(id)?.riskByProfile[name];
+          return { id, score: risk ? risk.score : 0, findings };
+        })
+      };
+    });
+    return { byProfile };
   }
 
-  function cloneSecurityFinding(finding){
-    if(!finding || typeof finding !== 'object') return null;
-    const clone = {
-      message: finding.message != null ? String(finding.message) : ''
-    };
-    if(finding.id != null) clone.id = String(finding.id);
-    if(finding.severity != null) clone.severity = String(finding.severity);
-    if(finding.severityNormalized != null) clone.severityNormalized = String(finding.severityNormalized);
-    if(Number.isFinite(finding.line)) clone.line = Number(finding.line);
-    if(finding.code != null) clone.code = String(finding.code);
-    return clone;
+  // Unused exports: symbols a reachable file exports that no reachable file
+  // imports, per profile. Imports without symbol lists (namespace, dynamic,
+  // require) count as using everything; `export *` forwards requested names
+  // to its targets. Entrypoint exports are public API and always count as used.
+  const REEXPORT_GROUP_KEYS = new Set(['reexports', 'starReexports', 'reexported']);
+
+  // When a crawler records a `named` group it is the export list; the
+  // functions/variables/classes groups only classify declarations.
+  function collectOwnExportSymbols(node){
+    if(!node || !node.exports || typeof node.exports !== 'object') return [];
+    const symbols = new Set();
+    const hasNamed = Array.isArray(node.exports.named) && node.exports.named.length > 0;
+    Object.entries(node.exports).forEach(([kind, values]) => {
+      if(REEXPORT_GROUP_KEYS.has(kind)) return;
+      if(hasNamed && kind !== 'named' && kind !== 'default') return;
+      if(kind === 'default'){
+        symbols.add('default');
+        return;
+      }
+      collectNodeExportSymbols({ exports: { [kind]: values } }).forEach(symbol => symbols.add(symbol));
+    });
+    return Array.from(symbols).sort((a, b) => a.localeCompare(b));
   }
 
-  function securityFindingKey(finding){
-    if(!finding || typeof finding !== 'object') return '';
-    const parts = [
-      finding.severityNormalized || finding.severity || '',
-      finding.id || '',
-      Number.isFinite(finding.line) ? finding.line : '',
-      finding.message || '',
-      finding.code || ''
-    ];
-    return parts.join('|');
+  function computeUnusedExports(graph, profileResults, entrypoints){
+    graph.nodes.forEach(node => { delete node.unusedExportsByProfile; });
+    const importers = graph.nodes.filter(node => Array.isArray(node.imports) && node.imports.length);
+    // Without import data every export would look unused.
+    if(!importers.length) return null;
+    const ownById = new Map();
+    graph.nodes.forEach(node => {
+      const symbols = collectOwnExportSymbols(node);
+      if(symbols.length) ownById.set(node.id, symbols);
+    });
+    const starTargets = new Map();
+    importers.forEach(node => node.imports.forEach(record => {
+      if(!record.star || !record.target) return;
+      if(!starTargets.has(node.id)) starTargets.set(node.id, []);
+      starTargets.get(node.id).push(record.target);
+    }));
+
+    const byProfile = {};
+    profileResults.forEach(res => {
+      const name = res.profile.name;
+      const used = new Map();
+      const queue = [];
+      const request = (id, symbols) => {
+        const current = used.get(id);
+        if(current === true) return;
+        let changed = false;
+        if(symbols === true){
+          used.set(id, true);
+          changed = true;
+        } else {
+          const set = current || new Set();
+          symbols.forEach(symbol => {
+            if(set.has(symbol)) return;
+            set.add(symbol);
+            changed = true;
+          });
+          used.set(id, set);
+        }
+        if(changed && starTargets.has(id)) queue.push(id);
+      };
+      entrypoints.forEach(id => { if(res.reachableAll.has(id)) request(id, true); });
+      importers.forEach(node => {
+        if(!res.reachableAll.has(node.id)) return;
+        node.imports.forEach(record => {
+          if(!record.target || record.star) return;
+          request(record.target, record.all ? true : record.names);
+        });
+      });
+      for(let head = 0; head < queue.length; head += 1){
+        const id = queue[head];
+        const wanted = used.get(id);
+        const own = new Set(ownById.get(id) || []);
+        const forwarded = wanted === true ? true : Array.from(wanted).filter(symbol => symbol !== 'default' && !own.has(symbol));
+        starTargets.get(id).forEach(target => request(target, forwarded));
+      }
+
+      const items = [];
+      let count = 0;
+      graph.nodes.forEach(node => {
+        const own = ownById.get(node.id);
+        if(!own || !res.reachableAll.has(node.id)) return;
+        const wanted = used.get(node.id);
+        const unused = wanted === true ? [] : own.filter(symbol => !(wanted && wanted.has(symbol)));
+        if(!node.unusedExportsByProfile) node.unusedExportsByProfile = {};
+        node.unusedExportsByProfile[name] = unused;
+        if(!unused.length) return;
+        items.push({ id: node.id, symbols: unused });
+        count += unused.length;
+      });
+      byProfile[name] = { count, files: items.length, items };
+    });
+    return { byProfile };
   }
 
-  const SECURITY_LOCATION_KEYS = [
-    'source',
-    'sources',
-    'path',
-    'paths',
-    'file',
-    'files',
-    'absPath',
-    'realPath',
-    'canonicalPath',
-    'resolvedPath',
-    'module',
-    'modules',
-    'node',
-    'nodes',
-    'uri',
-    'url',
-    'target',
-    'targets'
-  ];
+  // Architecture metrics. Transitive fan-in/out and betweenness describe the
+  // whole graph (every edge); depth follows each profile's active edges from
+  // the nearest entrypoint. Package instability is Martin's Ce / (Ca + Ce),
+  // counting the distinct outside files a package imports (Ce) and the
+  // distinct outside files importing it (Ca).
+  const TRANSITIVE_NODE_LIMIT = 20000;
+  const BETWEENNESS_EXACT_LIMIT = 2000;
+  const BETWEENNESS_SAMPLES = 256;
 
-  const SECURITY_FINDING_COLLECTION_KEYS = [
-    'findings',
-    'securityFindings',
-    'items',
-    'values',
-    'entries',
-    'list',
-    'results'
-  ];
+  function popcount(bits){
+    let count = 0;
+    for(let w = 0; w < bits.length; w += 1){
+      let v = bits[w];
+      v -= (v >>> 1) & 0x55555555;
+      v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+      count += Math.imul((v + (v >>> 4)) & 0x0F0F0F0F, 0x01010101) >>> 24;
+    }
+    return count;
+  }
 
-  function registerSecurityFindingsForKey(rawKey, rawValue, target){
-    if(typeof rawKey !== 'string') return false;
-    const trimmedKey = rawKey.trim();
-    if(!trimmedKey) return false;
-    const normalizedList = [];
-    const visited = typeof WeakSet !== 'undefined' ? new WeakSet() : null;
-    collectSecurityFindingInputs(rawValue, normalizedList, visited);
-    if(!normalizedList.length) return false;
-    const keys = [];
-    const canonical = canonicalExportId(trimmedKey);
-    if(canonical) keys.push(canonical);
-    if(!canonical || canonical !== trimmedKey) keys.push(trimmedKey);
-    keys.forEach(key => {
-      if(!key) return;
-      if(!target.has(key)) target.set(key, []);
-      const bucket = target.get(key);
-      const seen = new Set(bucket.map(securityFindingKey));
-      normalizedList.forEach(item => {
-        const entryKey = securityFindingKey(item);
-        if(seen.has(entryKey)) return;
-        bucket.push(cloneSecurityFinding(item));
-        seen.add(entryKey);
+  // `order` lists component indexes so that every component's `next`
+  // neighbours come before it; bitsets are indexed by node position.
+  function countTransitive(order, members, next, words){
+    const sets = new Array(members.length);
+    const counts = new Array(members.length);
+    order.forEach(idx => {
+      const bits = new Uint32Array(words);
+      next[idx].forEach(other => {
+        const otherBits = sets[other];
+        for(let w = 0; w < words; w += 1) bits[w] |= otherBits[w];
+        members[other].forEach(pos => { bits[pos >>> 5] |= 1 << (pos & 31); });
       });
+      sets[idx] = bits;
+      counts[idx] = popcount(bits) + members[idx].length - 1;
     });
-    return true;
+    return counts;
   }
 
-  function extractSecurityRecords(container){
-    if(!container || typeof container !== 'object') return [];
-    const locations = [];
-    SECURITY_LOCATION_KEYS.forEach(key => {
-      const value = container[key];
-      if(typeof value === 'string'){
-        const trimmed = value.trim();
-        if(trimmed && /[\\/.:]/.test(trimmed)) locations.push(trimmed);
-      } else if(Array.isArray(value)){
-        value.forEach(entry => {
-          if(typeof entry !== 'string') return;
-          const trimmed = entry.trim();
-          if(trimmed && /[\\/.:]/.test(trimmed)) locations.push(trimmed);
-        });
+  // Adjacency sets -> compressed rows so the inner loops stay on typed arrays.
+  function toCompressedRows(lists){
+    const offsets = new Int32Array(lists.length + 1);
+    lists.forEach((set, idx) => { offsets[idx + 1] = offsets[idx] + set.size; });
+    const targets = new Int32Array(offsets[lists.length]);
+    lists.forEach((set, idx) => {
+      let at = offsets[idx];
+      set.forEach(value => { targets[at++] = value; });
+    });
+    return { offsets, targets };
+  }
+
+  // Brandes' algorithm on the unweighted, deduplicated edge set. Large graphs
+  // use evenly spaced sample sources and scale the result.
+  function computeBetweenness(count, forwardSets, backwardSets){
+    const forward = toCompressedRows(forwardSets);
+    const backward = toCompressedRows(backwardSets);
+    const scores = new Float64Array(count);
+    const step = count <= BETWEENNESS_EXACT_LIMIT ? 1 : count / BETWEENNESS_SAMPLES;
+    const sources = [];
+    for(let pos = 0; pos < count; pos += step) sources.push(Math.floor(pos));
+    const sigma = new Float64Array(count);
+    const dist = new Int32Array(count);
+    const delta = new Float64Array(count);
+    const order = new Int32Array(count);
+    sources.forEach(source => {
+      sigma.fill(0);
+      dist.fill(-1);
+      delta.fill(0);
+      sigma[source] = 1;
+      dist[source] = 0;
+      order[0] = source;
+      let size = 1;
+      for(let head = 0; head < size; head += 1){
+        const v = order[head];
+        for(let at = forward.offsets[v]; at < forward.offsets[v + 1]; at += 1){
+          const w = forward.targets[at];
+          if(dist[w] < 0){
+            dist[w] = dist[v] + 1;
+            order[size++] = w;
+          }
+          if(dist[w] === dist[v] + 1) sigma[w] += sigma[v];
+        }
+      }
+      for(let idx = size - 1; idx > 0; idx -= 1){
+        const w = order[idx];
+        const share = (1 + delta[w]) / sigma[w];
+        for(let at = backward.offsets[w]; at < backward.offsets[w + 1]; at += 1){
+          const v = backward.targets[at];
+          if(dist[v] === dist[w] - 1) delta[v] += sigma[v] * share;
+        }
+        scores[w] += delta[w];
       }
     });
-    if(!locations.length) return [];
-    let findingsSource = null;
-    for(const key of SECURITY_FINDING_COLLECTION_KEYS){
-      const candidate = container[key];
-      if(Array.isArray(candidate)){
-        findingsSource = candidate;
-        break;
+    const scale = count > 2 ? (count / sources.length) / ((count - 1) * (count - 2)) : 0;
+    return { scores: Array.from(scores, score => Math.round(score * scale * 1e5) / 1e5), sampled: step > 1 };
+  }
+
+  function computePackageInstability(graph, known){
+    const packageOf = new Map();
+    const stats = new Map();
+    graph.nodes.forEach(node => {
+      const pkg = node.package || node.module;
+      if(!pkg) return;
+      const name = String(pkg);
+      packageOf.set(node.id, name);
+      if(!stats.has(name)) stats.set(name, { files: 0, afferent: new Set(), efferent: new Set() });
+      stats.get(name).files += 1;
+    });
+    graph.edges.forEach(edge => {
+      const src = nodeId(edge.source);
+      const tgt = nodeId(edge.target);
+      if(!known.has(src) || !known.has(tgt)) return;
+      const from = packageOf.get(src);
+      const to = packageOf.get(tgt);
+      if(from === to) return;
+      if(from) stats.get(from).efferent.add(tgt);
+      if(to) stats.get(to).afferent.add(src);
+    });
+    const packages = Array.from(stats, ([name, entry]) => {
+      const ca = entry.afferent.size;
+      const ce = entry.efferent.size;
+      return { name, files: entry.files, ca, ce, instability: ca + ce ? Math.round((ce / (ca + ce)) * 1000) / 1000 : null };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+    const byName = new Map(packages.map(entry => [entry.name, entry.instability]));
+    graph.nodes.forEach(node => {
+      node.instability = packageOf.has(node.id) ? byName.get(packageOf.get(node.id)) : null;
+    });
+    return packages;
+  }
+
+  function computeStructureMetrics(graph){
+    const ids = graph.nodes.map(node => node.id);
+    const position = new Map(ids.map((id, idx) => [id, idx]));
+    const forward = ids.map(() => new Set());
+    const backward = ids.map(() => new Set());
+    graph.edges.forEach(edge => {
+      const src = position.get(nodeId(edge.source));
+      const tgt = position.get(nodeId(edge.target));
+      if(src == null || tgt == null || src === tgt) return;
+      forward[src].add(tgt);
+      backward[tgt].add(src);
+    });
+
+    let transitive = false;
+    if(ids.length <= TRANSITIVE_NODE_LIMIT){
+      const { components } = computeStronglyConnectedComponents(graph);
+      const componentOf = new Int32Array(ids.length);
+      const members = components.map((list, idx) => list.map(id => {
+        const pos = position.get(id);
+        componentOf[pos] = idx;
+        return pos;
+      }));
+      const succ = components.map(() => new Set());
+      const pred = components.map(() => new Set());
+      forward.forEach((targets, src) => targets.forEach(tgt => {
+        if(componentOf[src] === componentOf[tgt]) return;
+        succ[componentOf[src]].add(componentOf[tgt]);
+        pred[componentOf[tgt]].add(componentOf[src]);
+      }));
+      // Tarjan emits a component only after everything it reaches.
+      const words = Math.ceil(ids.length / 32);
+      const sinksFirst = components.map((_, idx) => idx);
+      const fanOut = countTransitive(sinksFirst, members, succ, words);
+      const fanIn = countTransitive(sinksFirst.slice().reverse(), members, pred, words);
+      graph.nodes.forEach((node, pos) => {
+        node.fanOutTransitive = fanOut[componentOf[pos]];
+        node.fanInTransitive = fanIn[componentOf[pos]];
+      });
+      transitive = true;
+    } else {
+      graph.nodes.forEach(node => {
+        node.fanOutTransitive = null;
+        node.fanInTransitive = null;
+      });
+    }
+
+    const betweenness = computeBetweenness(ids.length, forward, backward);
+    graph.nodes.forEach((node, pos) => { node.betweenness = betweenness.scores[pos]; });
+    const packages = computePackageInstability(graph, position);
+
+    const max = (key) => graph.nodes.reduce((best, node) => Math.max(best, node[key] || 0), 0);
+    return {
+      transitive,
+      maxFanIn: max('fanInTransitive'),
+      maxFanOut: max('fanOutTransitive'),
+      maxBetweenness: max('betweenness'),
+      betweennessSampled: betweenness.sampled,
+      packages
+    };
+  }
+
+  function computeEntrypointDepths(graph, profileResults, entrypoints){
+    graph.nodes.forEach(node => { node.depthByProfile = {}; });
+    const nodeById = new Map(graph.nodes.map(node => [node.id, node]));
+    const byProfile = {};
+    profileResults.forEach(res => {
+      const name = res.profile.name;
+      const depth = new Map();
+      const queue = [];
+      entrypoints.forEach(id => {
+        if(!nodeById.has(id) || depth.has(id)) return;
+        depth.set(id, 0);
+        queue.push(id);
+      });
+      for(let head = 0; head < queue.length; head += 1){
+        const id = queue[head];
+        (res.adjacency.get(id) || []).forEach(edge => {
+          const tgt = nodeId(edge.target);
+          if(depth.has(tgt) || !nodeById.has(tgt)) return;
+          depth.set(tgt, depth.get(id) + 1);
+          queue.push(tgt);
+        });
+      }
+      let maxDepth = 0;
+      depth.forEach((value, id) => {
+        nodeById.get(id).depthByProfile[name] = value;
+        if(value > maxDepth) maxDepth = value;
+      });
+      byProfile[name] = { maxDepth, reached: depth.size };
+    });
+    return { byProfile };
+  }
+
+  function computeArchitectureMetrics(graph, profileResults, entrypoints){
+    return {
+      ...computeStructureMetrics(graph),
+      depth: computeEntrypointDepths(graph, profileResults, entrypoints)
+    };
+  }
+
+  // Search queries: `field:value` / `field>=n` terms combined with AND, OR,
+  // NOT and parentheses; adjacent terms are ANDed and bare words match the
+  // node id. Compilation never throws — problems come back as `error` with
+  // the offending character range so the viewer can point at it.
+  const QUERY_TEXT_FIELDS = new Set(['status', 'lang', 'type', 'path', 'has', 'export', 'profile', 'id']);
+  const QUERY_NUMERIC_FIELDS = new Set(['deg', 'in', 'out', 'loc', 'findings', 'risk']);
+  const QUERY_HAS_VALUES = ['security', 'exports', 'cycle', 'sideeffects', 'hash', 'risk'];
+  const QUERY_SEVERITY_RANK = { info: 0, low: 1, med: 2, high: 3, critical: 4 };
+  const QUERY_LANGUAGE_ALIASES = {
+    js: ['js', 'mjs', 'cjs', 'jsx', 'javascript'],
+    ts: ['ts', 'tsx', 'mts', 'cts', 'typescript'],
+    python: ['py', 'pyw', 'python'],
+    dart: ['dart'],
+    go: ['go', 'golang'],
+    java: ['java'],
+    kotlin: ['kt', 'kts', 'kotlin'],
+    rust: ['rs', 'rust'],
+    csharp: ['cs', 'csharp', 'c#']
+  };
+  const QUERY_LANGUAGE_LOOKUP = new Map();
+  Object.entries(QUERY_LANGUAGE_ALIASES).forEach(([lang, aliases]) => {
+    aliases.forEach(alias => QUERY_LANGUAGE_LOOKUP.set(alias, lang));
+  });
+
+  function canonicalLanguage(value){
+    const raw = String(value || '').trim().toLowerCase().replace(/^\./, '');
+    return QUERY_LANGUAGE_LOOKUP.get(raw) || raw;
+  }
+
+  function nodeLanguages(node){
+    const langs = new Set();
+    if(node.lang || node.language) langs.add(canonicalLanguage(node.lang || node.language));
+    const ext = String(node.id || '').match(/\.([A-Za-z0-9]+)$/);
+    if(ext) langs.add(canonicalLanguage(ext[1]));
+    return langs;
+  }
+
+  function exportSymbolName(entry){
+    if(entry == null) return '';
+    if(typeof entry === 'string') return entry.trim();
+    if(typeof entry === 'number' || typeof entry === 'boolean') return String(entry);
+    if(typeof entry === 'object'){
+      for(const key of ['name', 'symbol', 'exported', 'as', 'local', 'alias', 'value', 'key', 'member']){
+        if(typeof entry[key] === 'string' && entry[key].trim()) return entry[key].trim();
       }
     }
-    if(!findingsSource && container.finding != null){
-      findingsSource = container.finding;
+    return '';
+  }
+
+  function collectNodeExportSymbols(node){
+    if(!node || !node.exports || typeof node.exports !== 'object') return [];
+    const symbols = new Set();
+    const stack = Object.values(node.exports);
+    while(stack.length){
+      const value = stack.shift();
+      if(Array.isArray(value)){
+        stack.push(...value);
+        continue;
+      }
+      const name = exportSymbolName(value);
+      if(name) symbols.add(name);
     }
-    if(!findingsSource){
-      if(container.message != null || container.id != null || container.severity != null || container.code != null){
-        findingsSource = container;
+    return Array.from(symbols);
+  }
+
+  // The one glob dialect shared by keep rules, architecture rules and
+  // `path:` searches: `**/` matches any number of directories and `?` one
+  // character. Rules are anchored to the whole id and their `*` crosses
+  // slashes; `path:` passes `{ path: true }`, so `*` stays within one segment
+  // and the glob may start at any directory of an absolute id.
+  function globToRegExp(glob, flags = '', options = {}){
+    const star = options.path ? '[^/]*' : '.*';
+    let source = '';
+    for(let i = 0; i < glob.length; i += 1){
+      const ch = glob[i];
+      if(ch === '*' && glob[i + 1] === '*' && glob[i + 2] === '/'){
+        source += '(?:.*/)?';
+        i += 2;
+      } else if(ch === '*' && glob[i + 1] === '*'){
+        source += '.*';
+        while(glob[i + 1] === '*') i += 1;
+      } else if(ch === '*'){
+        source += star;
+      } else if(ch === '?'){
+        source += '.';
+      } else {
+        source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
       }
     }
-    if(!findingsSource) return [];
-    return locations.map(location => ({ key: location, findings: findingsSource }));
+    return new RegExp(`${options.path ? '(?:^|/)' : '^'}${source}$`, flags);
   }
 
-  function ingestSecurityFindings(container, target){
-    if(!container) return;
-    if(container instanceof Map){
-      container.forEach((value, key) => registerSecurityFindingsForKey(String(key), value, target));
-      return;
+  class NodeQueryError extends Error {
+    constructor(message, start, end){
+      super(message);
+      this.name = 'NodeQueryError';
+      this.start = start;
+      this.end = end;
     }
-    if(Array.isArray(container)){
-      container.forEach(entry => {
-        if(!entry) return;
-        if(typeof entry === 'object'){
-          const records = extractSecurityRecords(entry);
-          if(records.length){
-            records.forEach(record => registerSecurityFindingsForKey(record.key, record.findings, target));
-            return;
-          }
+  }
+
+  function tokenizeNodeQuery(text){
+    const tokens = [];
+    let i = 0;
+    while(i < text.length){
+      const ch = text[i];
+      if(/\s/.test(ch)){
+        i += 1;
+        continue;
+      }
+      if(ch === '(' || ch === ')'){
+        tokens.push({ type: ch, start: i, end: i + 1 });
+        i += 1;
+        continue;
+      }
+      const start = i;
+      let value = '';
+      while(i < text.length && !/[\s()]/.test(text[i])){
+        if(text[i] === '"'){
+          const close = text.indexOf('"', i + 1);
+          if(close === -1) return { error: { message: 'Unterminated quote', start: i, end: text.length } };
+          value += text.slice(i + 1, close);
+          i = close + 1;
+        } else {
+          value += text[i];
+          i += 1;
         }
-        ingestSecurityFindings(entry, target);
+      }
+      const upper = value.toUpperCase();
+      if(text[start] !== '"' && (upper === 'AND' || upper === 'OR' || upper === 'NOT')){
+        tokens.push({ type: upper, start, end: i });
+      } else if(value === '-' || value === '!'){
+        tokens.push({ type: 'NOT', start, end: i });
+      } else if((value[0] === '-' || value[0] === '!') && text[start] !== '"'){
+        tokens.push({ type: 'NOT', start, end: start + 1 });
+        tokens.push({ type: 'term', value: value.slice(1), start: start + 1, end: i });
+      } else {
+        tokens.push({ type: 'term', value, start, end: i });
+      }
+    }
+    return { tokens };
+  }
+
+  function compileQueryTerm(token, options){
+    const fail = (message) => { throw new NodeQueryError(message, token.start, token.end); };
+    const match = token.value.match(/^([A-Za-z]+)(>=|<=|!=|:|=|>|<)(.*)$/);
+    const field = match ? match[1].toLowerCase() : '';
+    // Unknown prefixes are part of the id (`node:fs`, `C:/source/app`).
+    if(!match || !(QUERY_NUMERIC_FIELDS.has(field) || QUERY_TEXT_FIELDS.has(field) || field === 'severity')){
+      const needle = token.value.toLowerCase();
+      return (node) => String(node.id || '').toLowerCase().includes(needle);
+    }
+    const op = match[2] === '=' ? ':' : match[2];
+    const value = match[3];
+    if(!value) fail(`Missing value after ${field}${match[2]}`);
+    const compare = (actual, expected) => {
+      switch(op){
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '!=': return actual !== expected;
+        default: return actual === expected;
+      }
+    };
+
+    if(QUERY_NUMERIC_FIELDS.has(field)){
+      const expected = Number(value);
+      if(!Number.isFinite(expected)) fail(`${field} needs a number, got "${value}"`);
+      const read = {
+        deg: node => (node.inDeg || 0) + (node.outDeg || 0),
+        in: node => node.inDeg || 0,
+        out: node => node.outDeg || 0,
+        loc: node => Number(node.sizeLOC),
+        findings: node => collectNodeSecurityFindings(node).length,
+        risk: (node, context) => node.riskByProfile?.[context.profile]?.score || 0
+      }[field];
+      return (node, context) => {
+        const actual = read(node, context);
+        return Number.isFinite(actual) && compare(actual, expected);
+      };
+    }
+
+    if(field === 'severity'){
+      const expected = normalizeSecuritySeverity(value);
+      if(!(expected in QUERY_SEVERITY_RANK)) fail(`Unknown severity "${value}"`);
+      const rank = QUERY_SEVERITY_RANK[expected];
+      return (node) => collectNodeSecurityFindings(node).some(finding => {
+        if(finding.suppression && finding.suppression.state === 'suppressed') return false;
+        const severity = normalizeSecuritySeverity(finding.severityNormalized != null ? finding.severityNormalized : finding.severity);
+        return severity in QUERY_SEVERITY_RANK && compare(QUERY_SEVERITY_RANK[severity], rank);
       });
-      return;
     }
-    if(typeof container !== 'object') return;
-    const directRecords = extractSecurityRecords(container);
-    if(directRecords.length){
-      directRecords.forEach(record => registerSecurityFindingsForKey(record.key, record.findings, target));
-      return;
+
+    if(op !== ':' && op !== '!='){
+      fail(`${field} only supports ":"`);
     }
-    const entries = Object.entries(container);
-    entries.forEach(([rawKey, rawValue]) => {
-      if(!registerSecurityFindingsForKey(rawKey, rawValue, target)){
-        ingestSecurityFindings(rawValue, target);
+    const negate = op === '!=';
+    const lower = value.toLowerCase();
+    let test;
+    switch(field){
+      case 'status': {
+        const statuses = STATUS_ORDER.filter(status => status === lower || status.startsWith(lower));
+        if(!statuses.length) fail(`Unknown status "${value}"`);
+        test = (node, context) => {
+          const current = node.statusByProfile?.[context.profile] || [];
+          return statuses.some(status => current.includes(status));
+        };
+        break;
       }
-    });
+      case 'lang': {
+        const lang = canonicalLanguage(lower);
+        test = node => nodeLanguages(node).has(lang);
+        break;
+      }
+      case 'type':
+        test = node => String(node.type || '').toLowerCase() === lower
+          || (lower === 'external' && !!(node.package && String(node.package).includes('node_modules')));
+        break;
+      case 'path': {
+        const pattern = /[*?]/.test(value) ? globToRegExp(value, 'i', { path: true }) : null;
+        test = node => {
+          const id = String(node.id || '').replace(/\\/g, '/');
+          return pattern ? pattern.test(id) : id.toLowerCase().includes(lower);
+        };
+        break;
+      }
+      case 'has': {
+        const kind = lower.replace(/[-_]/g, '');
+        if(!QUERY_HAS_VALUES.includes(kind)) fail(`has: expects one of ${QUERY_HAS_VALUES.join(', ')}`);
+        test = {
+          security: node => collectNodeSecurityFindings(node).length > 0,
+          exports: node => collectNodeExportSymbols(node).length > 0,
+          cycle: node => node.cycleId != null,
+          sideeffects: node => node.hasSideEffects === true,
+          hash: node => !!extractNodeHash(node),
+          risk: (node, context) => (node.riskByProfile?.[context.profile]?.score || 0) > 0
+        }[kind];
+        break;
+      }
+      case 'export':
+        test = node => collectNodeExportSymbols(node).some(symbol => symbol.toLowerCase() === lower);
+        break;
+      case 'profile': {
+        const known = Array.isArray(options.profiles) ? options.profiles : null;
+        if(known && !known.includes(value)) fail(`Unknown profile "${value}"`);
+        test = node => Array.isArray(node.reachableProfiles) && node.reachableProfiles.includes(value);
+        break;
+      }
+      default:
+        test = node => String(node.id || '').toLowerCase().includes(lower);
+    }
+    return negate ? (node, context) => !test(node, context) : test;
   }
 
-  function collectSecurityFindingInputs(source, target, visited){
-    if(source == null) return;
-    if(Array.isArray(source)){
-      source.forEach(item => collectSecurityFindingInputs(item, target, visited));
-      return;
-    }
-    if(typeof source !== 'object') return;
-    if(visited){
-      if(visited.has(source)) return;
-      visited.add(source);
+  function compileNodeQuery(text, options = {}){
+    const source = typeof text === 'string' ? text : '';
+    const { tokens, error } = tokenizeNodeQuery(source);
+    if(error) return { match: null, error };
+    if(!tokens.length) return { match: () => true, error: null, empty: true };
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const fail = (message, token) => {
+      throw token
+        ? new NodeQueryError(message, token.start, token.end)
+        : new NodeQueryError(message, source.length, source.length);
+    };
+
+    function parseOr(){
+      const parts = [parseAnd()];
+      while(peek() && peek().type === 'OR'){
+        pos += 1;
+        parts.push(parseAnd());
+      }
+      return parts.length === 1 ? parts[0] : (node, context) => parts.some(part => part(node, context));
     }
-    if(Array.isArray(source.findings)){
-      collectSecurityFindingInputs(source.findings, target, visited);
+    function parseAnd(){
+      const parts = [parseNot()];
+      while(peek() && peek().type !== 'OR' && peek().type !== ')'){
+        if(peek().type === 'AND') pos += 1;
+        parts.push(parseNot());
+      }
+      return parts.length === 1 ? parts[0] : (node, context) => parts.every(part => part(node, context));
     }
-    if(Array.isArray(source.securityFindings)){
-      collectSecurityFindingInputs(source.securityFindings, target, visited);
+    function parseNot(){
+      const token = peek();
+      if(token && token.type === 'NOT'){
+        pos += 1;
+        const inner = parseNot();
+        return (node, context) => !inner(node, context);
+      }
+      return parsePrimary();
     }
-    if(source.finding != null){
-      collectSecurityFindingInputs(source.finding, target, visited);
+    function parsePrimary(){
+      const token = peek();
+      if(!token) fail('Query ends unexpectedly');
+      if(token.type === '('){
+        pos += 1;
+        const inner = parseOr();
+        if(!peek() || peek().type !== ')') fail('Missing closing parenthesis', token);
+        pos += 1;
+        return inner;
+      }
+      if(token.type !== 'term') fail(`Unexpected ${token.type === ')' ? '")"' : token.type}`, token);
+      pos += 1;
+      return compileQueryTerm(token, options);
     }
-    const normalized = normalizeSecurityFinding(source);
-    if(normalized && (normalized.message || normalized.id)){
-      target.push(normalized);
+
+    try {
+      const root = parseOr();
+      if(pos < tokens.length) fail(`Unexpected ${tokens[pos].type === ')' ? '")"' : tokens[pos].type}`, tokens[pos]);
+      return {
+        match: (node, context = {}) => !!node && root(node, { profile: context.profile || 'default' }),
+        error: null
+      };
+    } catch (err){
+      if(!(err instanceof NodeQueryError)) throw err;
+      return { match: null, error: { message: err.message, start: err.start, end: err.end } };
     }
   }
 
-  function collectNodeSecurityFindings(node){
-    if(!node || typeof node !== 'object') return [];
-    const collected = [];
-    const visited = typeof WeakSet !== 'undefined' ? new WeakSet() : null;
-    const add = (value) => collectSecurityFindingInputs(value, collected, visited);
-    add(node.securityFindings);
-    add(node.security);
-    if(node.meta && typeof node.meta === 'object'){
-      add(node.meta.securityFindings);
-      add(node.meta.security);
-    }
-    return collected;
+  function compileRuleList(value){
+    const list = Array.isArray(value) ? value : (value == null ? [] : [value]);
+    return list.map(compileRule).filter(Boolean);
   }
 
-  function summarizeSecurityFindings(nodes){
-    const summary = {
-      totalFindings: 0,
-      affectedNodes: 0,
-      bySeverity: {}
+  function compileArchitectureRules(config){
+    const empty = { layers: [], forbidden: [], allowed: [], enforceLayers: false };
+    if(!config || typeof config !== 'object') return empty;
+    const layers = (Array.isArray(config.layers) ? config.layers : [])
+      .map((layer, idx) => {
+        if(!layer) return null;
+        const name = typeof layer === 'object' && layer.name ? String(layer.name) : `layer-${idx+1}`;
+        const source = typeof layer === 'object' && (layer.match != null || layer.patterns != null)
+          ? (layer.match != null ? layer.match : layer.patterns)
+          : layer;
+        const matchers = compileRuleList(source);
+        return matchers.length ? { name, rank: idx, matchers } : null;
+      })
+      .filter(Boolean);
+    const compileEdgeRule = (rule, idx, prefix) => {
+      if(!rule || typeof rule !== 'object') return null;
+      const from = compileRuleList(rule.from);
+      const to = compileRuleList(rule.to);
+      if(!from.length && !to.length) return null;
+      return {
+        name: rule.name ? String(rule.name) : `${prefix}-${idx+1}`,
+        from,
+        to,
+        severity: normalizeSecuritySeverity(rule.severity || 'high'),
+        message: rule.message != null ? String(rule.message) : ''
+      };
     };
-    if(!Array.isArray(nodes)) return summary;
-    nodes.forEach(node => {
-      const findings = collectNodeSecurityFindings(node);
-      if(!findings.length) return;
-      summary.affectedNodes += 1;
-      summary.totalFindings += findings.length;
-      findings.forEach(finding => {
-        const severity = finding && finding.severityNormalized != null
-          ? finding.severityNormalized
-          : finding && finding.severity != null
-            ? finding.severity
-            : 'unknown';
-        const bucket = normalizeSecuritySeverity(severity);
-        summary.bySeverity[bucket] = (summary.bySeverity[bucket] || 0) + 1;
+    return {
+      layers,
+      forbidden: (Array.isArray(config.forbidden) ? config.forbidden : []).map((rule, idx) => compileEdgeRule(rule, idx, 'forbidden')).filter(Boolean),
+      allowed: (Array.isArray(config.allowed) ? config.allowed : []).map((rule, idx) => compileEdgeRule(rule, idx, 'allowed')).filter(Boolean),
+      enforceLayers: layers.length > 1 && config.enforceLayers !== false,
+      layerSeverity: normalizeSecuritySeverity(config.layerSeverity || 'med')
+    };
+  }
+
+  function evaluateArchitectureRules(graph, compiled){
+    const summary = { ruleCount: 0, violationCount: 0, byRule: {}, layers: {}, violations: [] };
+    if(!compiled) return summary;
+    summary.ruleCount = compiled.forbidden.length + (compiled.enforceLayers ? 1 : 0);
+    graph.edges.forEach(edge => { delete edge.violations; });
+    if(!summary.ruleCount && !compiled.layers.length) return summary;
+
+    const candidatesCache = new Map();
+    const candidatesFor = (id) => {
+      if(!candidatesCache.has(id)){
+        const canonical = canonicalExportId(String(id));
+        candidatesCache.set(id, canonical && canonical !== id ? [id, canonical] : [id]);
+      }
+      return candidatesCache.get(id);
+    };
+    const matches = (list, id) => !list.length || candidatesFor(id).some(candidate => matchesKeepRuleFromList(list, candidate));
+    const layerCache = new Map();
+    const layerOf = (id) => {
+      if(!layerCache.has(id)){
+        layerCache.set(id, compiled.layers.find(layer => candidatesFor(id).some(candidate => matchesKeepRuleFromList(layer.matchers, candidate))) || null);
+      }
+      return layerCache.get(id);
+    };
+
+    graph.nodes.forEach(node => {
+      const layer = node && node.id != null ? layerOf(node.id) : null;
+      if(node) node.layer = layer ? layer.name : null;
+      if(layer) summary.layers[layer.name] = (summary.layers[layer.name] || 0) + 1;
+    });
+
+    graph.edges.forEach(edge => {
+      const src = nodeId(edge.source);
+      const tgt = nodeId(edge.target);
+      if(src == null || tgt == null) return;
+      if(compiled.allowed.some(rule => matches(rule.from, src) && matches(rule.to, tgt))) return;
+      const found = [];
+      compiled.forbidden.forEach(rule => {
+        if(matches(rule.from, src) && matches(rule.to, tgt)){
+          found.push({ rule: rule.name, type: 'forbidden', severity: rule.severity, message: rule.message || `${rule.name}: forbidden dependency` });
+        }
+      });
+      if(compiled.enforceLayers){
+        const fromLayer = layerOf(src);
+        const toLayer = layerOf(tgt);
+        if(fromLayer && toLayer && toLayer.rank < fromLayer.rank){
+          found.push({
+            rule: 'layers',
+            type: 'layer',
+            severity: compiled.layerSeverity,
+            message: `Layer "${fromLayer.name}" must not depend on higher layer "${toLayer.name}"`,
+            fromLayer: fromLayer.name,
+            toLayer: toLayer.name
+          });
+        }
+      }
+      if(!found.length) return;
+      edge.violations = found;
+      found.forEach(violation => {
+        summary.violationCount += 1;
+        summary.byRule[violation.rule] = (summary.byRule[violation.rule] || 0) + 1;
+        const entry = { ...violation, source: src, target: tgt };
+        const kind = edge.kind || edge.type;
+        if(kind) entry.kind = String(kind);
+        summary.violations.push(entry);
       });
     });
+
     return summary;
   }
 
-  function mergeSecurityFindingLists(...lists){
-    if(!lists || lists.length === 0) return [];
-    const merged = [];
-    const seen = new Set();
-    lists.forEach(list => {
-      if(!list) return;
-      const array = Array.isArray(list) ? list : [list];
-      array.forEach(item => {
-        const normalized = normalizeSecurityFinding(item);
-        if(!normalized || (!normalized.message && !normalized.id)) return;
-        const key = securityFindingKey(normalized);
-        if(seen.has(key)) return;
-        merged.push(cloneSecurityFinding(normalized));
-        seen.add(key);
-      });
-    });
-    return merged;
+  function toSerializableRegexList(list){
+    return list.map(re => ({ source: re.source, flags: re.flags }));
   }
 
-  function canonicalExportId(id){
-    if(typeof id !== 'string') return null;
-    let value = id.trim();
-    if(!value) return null;
-    if(value.startsWith('\\\\?\\')) value = value.substring(4);
-    const hadUncPrefix = value.startsWith('\\') || value.startsWith('\\/') || value.startsWith('//');
-    let normalized = value.replace(/\\/g, '/');
-    if(hadUncPrefix && !normalized.startsWith('//')){
-      normalized = '//' + normalized.replace(/^\/+/, '');
-    }
-    if(normalized.startsWith('//')){
-      const body = normalized.slice(2).replace(/\/{2,}/g, '/');
-      normalized = '//' + body;
-    } else {
-      normalized = normalized.replace(/\/{2,}/g, '/');
-    }
-    const drive = normalized.match(/^([a-zA-Z]):\//);
-    if(drive){
-      normalized = drive[1].toUpperCase() + normalized.substring(1);
+  const EXPORT_ID_KEYS = ['id', 'node', 'file', 'path', 'module'];
+  const EXPORT_GROUP_KEYS = ['groups', 'exports', 'symbols', 'values', 'items', 'members', 'entries', 'data', 'list'];
+  const EXPORT_SKIP_KEYS = new Set([...EXPORT_ID_KEYS, ...EXPORT_GROUP_KEYS, 'meta', 'summary', 'stats', 'count', 'type', 'kind', 'category', 'description']);
+  const createExportVisitTracker = ()=> typeof WeakSet !== 'undefined' ? new WeakSet() : null;
+
+  const SECURITY_SEVERITY_ALIASES = new Map([
+    ['crit', 'critical'],
+    ['critical', 'critical'],
+    ['severe', 'high'],
+    ['high', 'high'],
+    ['warn', 'med'],
+    ['warning', 'med'],
+    ['medium', 'med'],
+    ['med', 'med'],
+    ['moderate', 'med'],
+    ['medium-high', 'med'],
+    ['medium_low', 'med'],
+    ['low', 'low'],
+    ['info', 'info'],
+    ['informational', 'info'],
+    ['note', 'info'],
+    ['unknown', 'unknown']
+  ]);
+
+  function normalizeSecuritySeverity(value){
+    if(value == null) return 'unknown';
+    const raw = String(value).trim().toLowerCase();
+    if(!raw) return 'unknown';
+    if(SECURITY_SEVERITY_ALIASES.has(raw)) return SECURITY_SEVERITY_ALIASES.get(raw);
+    if(raw.startsWith('crit')) return 'critical';
+    if(raw.startsWith('hi')) return 'high';
+    if(raw.startsWith('med')) return 'med';
+    if(raw.startsWith('mod')) return 'med';
+    if(raw.startsWith('low')) return 'low';
+    if(raw.startsWith('info')) return 'info';
+    return raw;
+  }
+
+  function normalizeSecurityFinding(raw){
+    if(!raw || typeof raw !== 'object') return null;
+    const id = raw.id != null ? String(raw.id) : null;
+    const message = raw.message != null ? String(raw.message) : '';
+    const severity = raw.severity != null ? String(raw.severity) : '';
+    const severityNormalized = normalizeSecuritySeverity(raw.severityNormalized != null ? raw.severityNormalized : severity);
+    const line = Number.isFinite(raw.line) ? Number(raw.line) : null;
+    const code = raw.code != null ? String(raw.code) : null;
+    const normalized = {
+      id,
+      message,
+      severity,
+      severityNormalized,
+      line,
+      code
+    };
+    if(raw.rule != null) normalized.rule = String(raw.rule);
+    if(raw.tool != null) normalized.tool = String(raw.tool);
+    const suppression = normalizeSecuritySuppression(raw.suppression);
+    if(suppression) normalized.suppression = suppression;
+    return normalized;
+  }
+
+  const SECURITY_SUPPRESSION_STATES = ['baselined', 'suppressed'];
+
+  function normalizeSecuritySuppression(raw){
+    if(!raw || typeof raw !== 'object' || !SECURITY_SUPPRESSION_STATES.includes(raw.state)) return null;
+    const suppression = { state: raw.state };
+    if(raw.justification != null && String(raw.justification).trim()) suppression.justification = String(raw.justification).trim();
+    return suppression;
+  }
+
+  function cloneSecurityFinding(finding){
+    if(!finding || typeof finding !== 'object') return null;
+    const clone = {
+      message: finding.message != null ? String(finding.message) : ''
+    };
+    if(finding.id != null) clone.id = String(finding.id);
+    if(finding.severity != null) clone.severity = String(finding.severity);
+    if(finding.severityNormalized != null) clone.severityNormalized = String(finding.severityNormalized);
+    if(Number.isFinite(finding.line)) clone.line = Number(finding.line);
+    if(finding.code != null) clone.code = String(finding.code);
+    if(finding.rule != null) clone.rule = String(finding.rule);
+    if(finding.tool != null) clone.tool = String(finding.tool);
+    const suppression = normalizeSecuritySuppression(finding.suppression);
+    if(suppression) clone.suppression = suppression;
+    return clone;
+  }
+
+  function securityFindingKey(finding){
+    if(!finding || typeof finding !== 'object') return '';
+    const parts = [
+      finding.severityNormalized || finding.severity || '',
+      finding.id || '',
+      Number.isFinite(finding.line) ? finding.line : '',
+      finding.message || '',
+      finding.code || ''
+    ];
+    return parts.join('|');
+  }
+
+  const SECURITY_LOCATION_KEYS = [
+    'source',
+    'sources',
+    'path',
+    'paths',
+    'file',
+    'files',
+    'absPath',
+    'realPath',
+    'canonicalPath',
+    'resolvedPath',
+    'module',
+    'modules',
+    'node',
+    'nodes',
+    'uri',
+    'url',
+    'target',
+    'targets'
+  ];
+
+  const SECURITY_FINDING_COLLECTION_KEYS = [
+    'findings',
+    'securityFindings',
+    'items',
+    'values',
+    'entries',
+    'list',
+    'results'
+  ];
+
+  function registerSecurityFindingsForKey(rawKey, rawValue, target){
+    if(typeof rawKey !== 'string') return false;
+    const trimmedKey = rawKey.trim();
+    if(!trimmedKey) return false;
+    const normalizedList = [];
+    const visited = typeof WeakSet !== 'undefined' ? new WeakSet() : null;
+    collectSecurityFindingInputs(rawValue, normalizedList, visited);
+    if(!normalizedList.length) return false;
+    const keys = [];
+    const canonical = canonicalExportId(trimmedKey);
+    if(canonical) keys.push(canonical);
+    if(!canonical || canonical !== trimmedKey) keys.push(trimmedKey);
+    keys.forEach(key => {
+      if(!key) return;
+      if(!target.has(key)) target.set(key, []);
+      const bucket = target.get(key);
+      const seen = new Set(bucket.map(securityFindingKey));
+      normalizedList.forEach(item => {
+        const entryKey = securityFindingKey(item);
+        if(seen.has(entryKey)) return;
+        bucket.push(cloneSecurityFinding(item));
+        seen.add(entryKey);
+      });
+    });
+    return true;
+  }
+
+  function extractSecurityRecords(container){
+    if(!container || typeof container !== 'object') return [];
+    const locations = [];
+    SECURITY_LOCATION_KEYS.forEach(key => {
+      const value = container[key];
+      if(typeof value === 'string'){
+        const trimmed = value.trim();
+        if(trimmed && /[\\/.:]/.test(trimmed)) locations.push(trimmed);
+      } else if(Array.isArray(value)){
+        value.forEach(entry => {
+          if(typeof entry !== 'string') return;
+          const trimmed = entry.trim();
+          if(trimmed && /[\\/.:]/.test(trimmed)) locations.push(trimmed);
+        });
+      }
+    });
+    if(!locations.length) return [];
+    let findingsSource = null;
+    for(const key of SECURITY_FINDING_COLLECTION_KEYS){
+      const candidate = container[key];
+      if(Array.isArray(candidate)){
+        findingsSource = candidate;
+        break;
+      }
+    }
+    if(!findingsSource && container.finding != null){
+      findingsSource = container.finding;
+    }
+    if(!findingsSource){
+      if(container.message != null || container.id != null || container.severity != null || container.code != null){
+        findingsSource = container;
+      }
+    }
+    if(!findingsSource) return [];
+    return locations.map(location => ({ key: location, findings: findingsSource }));
+  }
+
+  function ingestSecurityFindings(container, target){
+    if(!container) return;
+    if(container instanceof Map){
+      container.forEach((value, key) => registerSecurityFindingsForKey(String(key), value, target));
+      return;
+    }
+    if(Array.isArray(container)){
+      container.forEach(entry => {
+        if(!entry) return;
+        if(typeof entry === 'object'){
+          const records = extractSecurityRecords(entry);
+          if(records.length){
+            records.forEach(record => registerSecurityFindingsForKey(record.key, record.findings, target));
+            return;
+          }
+        }
+        ingestSecurityFindings(entry, target);
+      });
+      return;
+    }
+    if(typeof container !== 'object') return;
+    const directRecords = extractSecurityRecords(container);
+    if(directRecords.length){
+      directRecords.forEach(record => registerSecurityFindingsForKey(record.key, record.findings, target));
+      return;
+    }
+    const entries = Object.entries(container);
+    entries.forEach(([rawKey, rawValue]) => {
+      if(!registerSecurityFindingsForKey(rawKey, rawValue, target)){
+        ingestSecurityFindings(rawValue, target);
+      }
+    });
+  }
+
+  function collectSecurityFindingInputs(source, target, visited){
+    if(source == null) return;
+    if(Array.isArray(source)){
+      source.forEach(item => collectSecurityFindingInputs(item, target, visited));
+      return;
+    }
+    if(typeof source !== 'object') return;
+    if(visited){
+      if(visited.has(source)) return;
+      visited.add(source);
+    }
+    if(Array.isArray(source.findings)){
+      collectSecurityFindingInputs(source.findings, target, visited);
+    }
+    if(Array.isArray(source.securityFindings)){
+      collectSecurityFindingInputs(source.securityFindings, target, visited);
+    }
+    if(source.finding != null){
+      collectSecurityFindingInputs(source.finding, target, visited);
+    }
+    const normalized = normalizeSecurityFinding(source);
+    if(normalized && (normalized.message || normalized.id)){
+      target.push(normalized);
+    }
+  }
+
+  function collectNodeSecurityFindings(node){
+    if(!node || typeof node !== 'object') return [];
+    const collected = [];
+    const visited = typeof WeakSet !== 'undefined' ? new WeakSet() : null;
+    const add = (value) => collectSecurityFindingInputs(value, collected, visited);
+    add(node.securityFindings);
+    add(node.security);
+    if(node.meta && typeof node.meta === 'object'){
+      add(node.meta.securityFindings);
+      add(node.meta.security);
+    }
+    return collected;
+  }
+
+  function summarizeSecurityFindings(nodes){
+    const summary = {
+      totalFindings: 0,
+      affectedNodes: 0,
+      bySeverity: {},
+      byBaseline: { new: 0, baselined: 0, suppressed: 0 },
+      newBySeverity: {}
+    };
+    if(!Array.isArray(nodes)) return summary;
+    nodes.forEach(node => {
+      const findings = collectNodeSecurityFindings(node);
+      if(!findings.length) return;
+      summary.affectedNodes += 1;
+      summary.totalFindings += findings.length;
+      findings.forEach(finding => {
+        const severity = finding && finding.severityNormalized != null
+          ? finding.severityNormalized
+          : finding && finding.severity != null
+            ? finding.severity
+            : 'unknown';
+        const bucket = normalizeSecuritySeverity(severity);
+        summary.bySeverity[bucket] = (summary.bySeverity[bucket] || 0) + 1;
+        const state = finding.suppression ? finding.suppression.state : 'new';
+        summary.byBaseline[state] += 1;
+        if(state === 'new') summary.newBySeverity[bucket] = (summary.newBySeverity[bucket] || 0) + 1;
+      });
+    });
+    return summary;
+  }
+
+  const NODE_HASH_KEYS = ['contentHash', 'content_hash', 'hash', 'checksum', 'integrity', 'sha256', 'sha1', 'md5'];
+
+  function extractNodeHash(node){
+    if(!node || typeof node !== 'object') return '';
+    for(const key of NODE_HASH_KEYS){
+      const value = node[key];
+      if(typeof value === 'string' && value.trim()) return value.trim();
+    }
+    for(const field of [node.hash, node.hashes]){
+      if(!field || typeof field !== 'object') continue;
+      for(const value of Object.values(field)){
+        if(typeof value === 'string' && value.trim()) return value.trim();
+      }
+    }
+    return '';
+  }
+
+  // Baseline entries are written relative to the graph root where possible
+  // so they keep matching when the project is crawled from another checkout.
+  function securityBaselinePathMatches(entryPath, path){
+    return path === entryPath || path.endsWith(`/${entryPath}`);
+  }
+
+  function normalizeSecurityBaseline(doc){
+    const list = Array.isArray(doc)
+      ? doc
+      : (doc && typeof doc === 'object' ? (doc.entries || doc.suppressions || doc.findings || []) : []);
+    if(!Array.isArray(list)) return [];
+    return list.map(raw => {
+      if(!raw || typeof raw !== 'object' || typeof raw.path !== 'string') return null;
+      const path = (canonicalExportId(raw.path) || '').replace(/^\.\//, '');
+      if(!path || (raw.id == null && raw.code == null && raw.message == null)) return null;
+      const entry = { path, state: raw.state === 'suppressed' ? 'suppressed' : 'baselined' };
+      if(raw.id != null) entry.id = String(raw.id);
+      if(raw.code != null) entry.code = String(raw.code);
+      if(raw.id == null && raw.code == null) entry.message = String(raw.message);
+      if(Number.isFinite(raw.line)) entry.line = Number(raw.line);
+      if(typeof raw.hash === 'string' && raw.hash.trim()) entry.hash = raw.hash.trim();
+      if(raw.justification != null && String(raw.justification).trim()) entry.justification = String(raw.justification).trim();
+      if(typeof raw.createdAt === 'string') entry.createdAt = raw.createdAt;
+      return entry;
+    }).filter(Boolean);
+  }
+
+  function securityBaselineEntryMatches(entry, finding, hash){
+    if(entry.id != null && entry.id !== finding.id) return false;
+    if(entry.code != null && entry.code !== finding.code) return false;
+    if(entry.message != null && entry.message !== finding.message) return false;
+    if(entry.line != null && entry.line !== finding.line) return false;
+    if(entry.hash != null && entry.hash !== hash) return false;
+    return true;
+  }
+
+  function matchSecurityBaselineEntry(entry, node, finding){
+    const path = canonicalExportId(String(node.id)) || String(node.id);
+    return securityBaselinePathMatches(entry.path, path) && securityBaselineEntryMatches(entry, finding, entry.hash != null ? extractNodeHash(node) : '');
+  }
+
+  function applySecurityBaseline(nodes, entries){
+    const byName = new Map();
+    (Array.isArray(entries) ? entries : []).forEach(entry => {
+      const name = entry.path.split('/').pop();
+      if(!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(entry);
+    });
+    (Array.isArray(nodes) ? nodes : []).forEach(node => {
+      if(!node || !Array.isArray(node.securityFindings)) return;
+      const path = canonicalExportId(String(node.id)) || String(node.id);
+      const relevant = (byName.get(path.split('/').pop()) || []).filter(entry => securityBaselinePathMatches(entry.path, path));
+      const hash = relevant.some(entry => entry.hash != null) ? extractNodeHash(node) : '';
+      node.securityFindings.forEach(finding => {
+        delete finding.suppression;
+        let match = null;
+        relevant.forEach(entry => {
+          if(!securityBaselineEntryMatches(entry, finding, hash)) return;
+          if(!match || (entry.state === 'suppressed' && match.state !== 'suppressed')) match = entry;
+        });
+        if(!match) return;
+        finding.suppression = { state: match.state };
+        if(match.justification) finding.suppression.justification = match.justification;
+      });
+    });
+  }
+
+  function createSecurityBaselineEntry(node, finding, options = {}){
+    const path = canonicalExportId(String(node.id)) || String(node.id);
+    const root = typeof options.root === 'string' && options.root ? options.root.replace(/\/+$/, '') : '';
+    const entry = {
+      path: root && path.startsWith(`${root}/`) ? path.substring(root.length + 1) : path,
+      state: options.state === 'suppressed' ? 'suppressed' : 'baselined'
+    };
+    if(finding.id != null) entry.id = String(finding.id);
+    if(finding.code != null) entry.code = String(finding.code);
+    if(finding.id == null && finding.code == null) entry.message = String(finding.message || '');
+    if(Number.isFinite(finding.line)) entry.line = Number(finding.line);
+    const hash = extractNodeHash(node);
+    if(hash) entry.hash = hash;
+    if(options.justification != null && String(options.justification).trim()) entry.justification = String(options.justification).trim();
+    entry.createdAt = options.createdAt || new Date().toISOString();
+    return entry;
+  }
+
+  const SARIF_LEVELS = { critical: 'error', high: 'error', med: 'warning', low: 'note', info: 'note', unknown: 'warning' };
+  const SARIF_SECURITY_SEVERITY = { critical: '9.5', high: '8.0', med: '5.5', low: '3.0', info: '0.0' };
+
+  function encodeSarifPath(path){
+    return path.split('/').map(part => (/^[A-Za-z]:$/.test(part) ? part : encodeURIComponent(part))).join('/');
+  }
+
+  function buildSarifReport(nodes, options = {}){
+    const list = Array.isArray(nodes) ? nodes : [];
+    const paths = new Map();
+    list.forEach(node => {
+      if(node && node.id != null) paths.set(node, canonicalExportId(String(node.id)) || String(node.id));
+    });
+    const root = typeof options.root === 'string' && options.root
+      ? (canonicalExportId(options.root) || options.root).replace(/\/+$/, '')
+      : detectDiffRoot(options.rawGraph || {}, Array.from(paths.values()));
+
+    const rules = [];
+    const ruleIndex = new Map();
+    const results = [];
+    const findingsByNode = new Map(list.map(node => [node, collectNodeSecurityFindings(node)]));
+    const baselineInUse = Array.from(findingsByNode.values()).some(findings => findings.some(finding => finding.suppression));
+    list.forEach(node => {
+      const findings = findingsByNode.get(node);
+      if(!findings.length) return;
+      const path = paths.get(node);
+      const relative = root && path.startsWith(`${root}/`) ? path.substring(root.length + 1) : null;
+      const artifactLocation = relative != null
+        ? { uri: encodeSarifPath(relative), uriBaseId: '%SRCROOT%' }
+        : { uri: looksAbsolutePath(path) ? `file://${path.startsWith('/') ? '' : '/'}${encodeSarifPath(path)}` : encodeSarifPath(path) };
+      findings.forEach(finding => {
+        const severity = normalizeSecuritySeverity(finding.severityNormalized != null ? finding.severityNormalized : finding.severity);
+        // Findings without an id are grouped by their code, then by the
+        // rule or tool that raised them.
+        const ruleId = finding.id || finding.code || finding.rule || finding.tool || 'nurox.security';
+        if(!ruleIndex.has(ruleId)){
+          const rule = {
+            id: ruleId,
+            shortDescription: { text: finding.message || ruleId },
+            defaultConfiguration: { level: SARIF_LEVELS[severity] || 'warning' },
+            properties: { tags: ['security'] }
+          };
+          if(SARIF_SECURITY_SEVERITY[severity]) rule.properties['security-severity'] = SARIF_SECURITY_SEVERITY[severity];
+          ruleIndex.set(ruleId, rules.length);
+          rules.push(rule);
+        }
+        const physicalLocation = { artifactLocation: { ...artifactLocation } };
+        if(Number.isFinite(finding.line) && finding.line >= 1){
+          physicalLocation.region = { startLine: finding.line };
+          if(finding.code) physicalLocation.region.snippet = { text: finding.code };
+        }
+        const result = {
+          ruleId,
+          ruleIndex: ruleIndex.get(ruleId),
+          level: SARIF_LEVELS[severity] || 'warning',
+          message: { text: finding.message || ruleId },
+          locations: [{ physicalLocation }],
+          partialFingerprints: { 'nuroxFinding/v1': `${path}|${securityFindingKey(finding)}` },
+          properties: { severity }
+        };
+        if(baselineInUse) result.baselineState = finding.suppression ? 'unchanged' : 'new';
+        if(finding.suppression && finding.suppression.state === 'suppressed'){
+          const suppression = { kind: 'external', status: 'accepted' };
+          if(finding.suppression.justification) suppression.justification = finding.suppression.justification;
+          result.suppressions = [suppression];
+        }
+        results.push(result);
+      });
+    });
+
+    const run = {
+      tool: {
+        driver: {
+          name: options.toolName || 'Nurox Nexus',
+          rules
+        }
+      },
+      results
+    };
+    if(options.toolVersion) run.tool.driver.version = String(options.toolVersion);
+    if(root){
+      run.originalUriBaseIds = {
+        '%SRCROOT%': { uri: `file://${root.startsWith('/') ? '' : '/'}${encodeSarifPath(root)}/` }
+      };
+    }
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [run]
+    };
+  }
+
+  const CYCLONEDX_SEVERITIES = { critical: 'critical', high: 'high', med: 'medium', low: 'low', info: 'info', unknown: 'unknown' };
+  const CYCLONEDX_HEX_ALGORITHMS = { 32: 'MD5', 40: 'SHA-1', 64: 'SHA-256', 96: 'SHA-384', 128: 'SHA-512' };
+  const CYCLONEDX_SRI_ALGORITHMS = { sha1: 'SHA-1', sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
+  const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+  function base64ToHex(value){
+    let hex = '';
+    let buffer = 0;
+    let bits = 0;
+    for(const char of value.replace(/=+$/, '')){
+      const idx = BASE64_ALPHABET.indexOf(char);
+      if(idx === -1) return null;
+      buffer = ((buffer << 6) | idx) & 0xfff;
+      bits += 6;
+      if(bits >= 8){
+        bits -= 8;
+        hex += ((buffer >> bits) & 0xff).toString(16).padStart(2, '0');
+      }
+    }
+    return hex || null;
+  }
+
+  // CycloneDX only accepts hex digests with a known algorithm; anything else
+  // is kept as a property so the value is not lost.
+  function cycloneDxHash(value){
+    if(typeof value !== 'string' || !value) return null;
+    const sri = /^(sha1|sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})$/.exec(value);
+    if(sri){
+      const content = base64ToHex(sri[2]);
+      return content ? { alg: CYCLONEDX_SRI_ALGORITHMS[sri[1]], content } : null;
+    }
+    const prefixed = /^(?:(md5|sha1|sha-1|sha256|sha-256|sha384|sha-384|sha512|sha-512)[:=])?([0-9a-fA-F]+)$/.exec(value);
+    if(!prefixed) return null;
+    const alg = CYCLONEDX_HEX_ALGORITHMS[prefixed[2].length];
+    return alg ? { alg, content: prefixed[2].toLowerCase() } : null;
+  }
+
+  function externalPackageName(id, pkg){
+    const source = typeof pkg === 'string' && pkg && !pkg.includes('node_modules') ? pkg : id;
+    const match = /(?:^|\/)node_modules\/((?:@[^/]+\/)?[^/]+)/.exec(source);
+    return match ? match[1] : source;
+  }
+
+  // Package URL types for the crawlers' external id prefixes. Standard
+  // libraries (`std:`, `dotnet:`, `java:`, `kotlin:`, `node:`) and group-only
+  // `mvn:` ids carry no package coordinates, so they get no purl.
+  const PURL_TYPES = { pip: 'pypi', pub: 'pub', crate: 'cargo', nuget: 'nuget', go: 'golang' };
+  const NPM_LANGUAGES = new Set(['js', 'jsx', 'mjs', 'cjs', 'javascript', 'ts', 'tsx', 'mts', 'cts', 'typescript']);
+
+  function externalPurl(node, name, version){
+    const prefixed = /^([a-z]+):(.+)$/.exec(name);
+    let type = 'npm';
+    let path = name;
+    if(prefixed){
+      type = PURL_TYPES[prefixed[1]];
+      path = prefixed[2];
+    } else if((node.lang || node.language) && !NPM_LANGUAGES.has(String(node.lang || node.language).toLowerCase())){
+      type = null;
+    }
+    if(!type) return null;
+    return `pkg:${type}/${path.split('/').map(encodeURIComponent).join('/')}@${encodeURIComponent(version)}`;
+  }
+
+  function buildCycloneDxBom(rows, options = {}){
+    const list = (Array.isArray(rows) ? rows : [])
+      .map(row => (row && row.node ? row : { node: row, values: {} }))
+      .filter(row => row.node && row.node.id != null);
+    const refs = new Map();
+    list.forEach(row => refs.set(String(row.node.id), String(row.node.id)));
+
+    const components = list.map(row => {
+      const node = row.node;
+      const values = row.values || {};
+      const ref = String(node.id);
+      const external = values.external != null ? !!values.external : node.type === 'external';
+      const component = { type: external ? 'library' : 'file', 'bom-ref': ref };
+      if(external){
+        const name = externalPackageName(ref, values.package != null ? values.package : node.package);
+        const scoped = /^(@[^/]+)\/(.+)$/.exec(name);
+        if(scoped){
+          component.group = scoped[1];
+          component.name = scoped[2];
+        } else {
+          component.name = name;
+        }
+        if(typeof node.version === 'string' && node.version){
+          component.version = node.version;
+          const purl = externalPurl(node, name, node.version);
+          if(purl) component.purl = purl;
+        }
+      } else {
+        component.name = ref;
+      }
+      const properties = [];
+      const rawHash = values.hash != null ? values.hash : '';
+      const hash = cycloneDxHash(rawHash);
+      if(hash) component.hashes = [hash];
+      else if(rawHash) properties.push({ name: 'nurox:hash', value: String(rawHash) });
+      if(values.statusPrimary) properties.push({ name: 'nurox:status', value: String(values.statusPrimary) });
+      if(Number.isFinite(values.sizeLOC)) properties.push({ name: 'nurox:sizeLOC', value: String(values.sizeLOC) });
+      if(values.hasSideEffects != null) properties.push({ name: 'nurox:hasSideEffects', value: String(values.hasSideEffects) });
+      if(properties.length) component.properties = properties;
+      return component;
+    });
+
+    const dependsOn = new Map(list.map(row => [String(row.node.id), new Set()]));
+    (Array.isArray(options.edges) ? options.edges : []).forEach(edge => {
+      const source = nodeId(edge && edge.source);
+      const target = nodeId(edge && edge.target);
+      if(source == null || target == null || source === target) return;
+      const set = dependsOn.get(String(source));
+      if(set && refs.has(String(target))) set.add(String(target));
+    });
+    const dependencies = Array.from(dependsOn.entries()).map(([ref, targets]) => ({ ref, dependsOn: Array.from(targets).sort() }));
+
+    const vulnerabilities = [];
+    const byId = new Map();
+    list.forEach(row => {
+      const ref = String(row.node.id);
+      collectNodeSecurityFindings(row.node).forEach(finding => {
+        const severity = normalizeSecuritySeverity(finding.severityNormalized != null ? finding.severityNormalized : finding.severity);
+        const key = finding.id ? `${finding.id}|${severity}|${finding.message || ''}` : null;
+        let vulnerability = key ? byId.get(key) : null;
+        if(!vulnerability){
+          vulnerability = {
+            'bom-ref': `vulnerability-${vulnerabilities.length + 1}`,
+            id: finding.id || `NUROX-${vulnerabilities.length + 1}`,
+            ratings: [{ severity: CYCLONEDX_SEVERITIES[severity] || 'unknown', method: 'other' }],
+            affects: []
+          };
+          if(finding.message) vulnerability.description = finding.message;
+          vulnerabilities.push(vulnerability);
+          if(key) byId.set(key, vulnerability);
+        }
+        if(!vulnerability.affects.some(entry => entry.ref === ref)) vulnerability.affects.push({ ref });
+        if(Number.isFinite(finding.line)){
+          vulnerability.properties = vulnerability.properties || [];
+          vulnerability.properties.push({ name: 'nurox:location', value: `${ref}:${finding.line}` });
+        }
+      });
+    });
+
+    const root = detectDiffRoot(options.rawGraph || {}, Array.from(refs.keys()).map(id => canonicalExportId(id) || id));
+    const metadata = {
+      timestamp: options.timestamp || new Date().toISOString(),
+      tools: { components: [{ type: 'application', name: options.toolName || 'Nurox Nexus' }] }
+    };
+    if(options.toolVersion) metadata.tools.components[0].version = String(options.toolVersion);
+    // Component refs are node ids, so the project's own ref is namespaced.
+    if(root) metadata.component = { type: 'application', 'bom-ref': 'urn:nurox:root', name: root.split('/').filter(Boolean).pop() || root };
+
+    const serial = options.serialNumber || (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function' ? `urn:uuid:${crypto.randomUUID()}` : null);
+    const bom = { bomFormat: 'CycloneDX', specVersion: '1.5' };
+    if(serial) bom.serialNumber = serial;
+    Object.assign(bom, { version: 1, metadata, components, dependencies });
+    if(vulnerabilities.length) bom.vulnerabilities = vulnerabilities;
+    return bom;
+  }
+
+  function mergeSecurityFindingLists(...lists){
+    if(!lists || lists.length === 0) return [];
+    const merged = [];
+    const seen = new Set();
+    lists.forEach(list => {
+      if(!list) return;
+      const array = Array.isArray(list) ? list : [list];
+      array.forEach(item => {
+        const normalized = normalizeSecurityFinding(item);
+        if(!normalized || (!normalized.message && !normalized.id)) return;
+        const key = securityFindingKey(normalized);
+        if(seen.has(key)) return;
+        merged.push(cloneSecurityFinding(normalized));
+        seen.add(key);
+      });
+    });
+    return merged;
+  }
+
+  function canonicalExportId(id){
+    if(typeof id !== 'string') return null;
+    let value = id.trim();
+    if(!value) return null;
+    if(value.startsWith('\\\\?\\')) value = value.substring(4);
+    const hadUncPrefix = value.startsWith('\\') || value.startsWith('\\/') || value.startsWith('//');
+    let normalized = value.replace(/\\/g, '/');
+    if(hadUncPrefix && !normalized.startsWith('//')){
+      normalized = '//' + normalized.replace(/^\/+/, '');
+    }
+    if(normalized.startsWith('//')){
+      const body = normalized.slice(2).replace(/\/{2,}/g, '/');
+      normalized = '//' + body;
+    } else {
+      normalized = normalized.replace(/\/{2,}/g, '/');
+    }
+    const drive = normalized.match(/^([a-zA-Z]):\//);
+    if(drive){
+      normalized = drive[1].toUpperCase() + normalized.substring(1);
+    }
+    return normalized;
+  }
+
+  function cloneExportEntry(entry){
+    if(entry == null) return null;
+    if(Array.isArray(entry)){
+      return entry.map(cloneExportEntry).filter(value => value != null);
+    }
+    if(typeof entry === 'object'){
+      const clone = {};
+      Object.entries(entry).forEach(([key, value]) => {
+        const cloned = cloneExportEntry(value);
+        if(cloned !== null && cloned !== undefined){
+          clone[key] = cloned;
+        }
+      });
+      return clone;
+    }
+    return entry;
+  }
+
+  function listFromExportGroup(raw){
+    if(Array.isArray(raw)) return raw;
+    if(raw && typeof raw === 'object'){
+      if(Array.isArray(raw.list)) return raw.list;
+      if(Array.isArray(raw.values)) return raw.values;
+      if(Array.isArray(raw.items)) return raw.items;
+      if(Array.isArray(raw.entries)) return raw.entries;
+      if(Array.isArray(raw.members)) return raw.members;
+      if(Array.isArray(raw.data)) return raw.data;
+      return Object.values(raw);
+    }
+    if(raw == null) return [];
+    return [raw];
+  }
+
+  function normalizeExportGroups(groups){
+    if(groups == null) return null;
+
+    const buildGroupFromValues = (raw, defaultKind = 'symbols') => {
+      const arr = listFromExportGroup(raw)
+        .map(cloneExportEntry)
+        .filter(value => {
+          if(value == null) return false;
+          if(typeof value === 'string') return value.trim() !== '';
+          return true;
+        });
+      return arr.length ? { [defaultKind]: arr } : null;
+    };
+
+    if(Array.isArray(groups) || typeof groups !== 'object'){
+      return buildGroupFromValues(groups);
+    }
+
+    const normalized = {};
+    Object.entries(groups).forEach(([kind, rawList]) => {
+      const grouped = buildGroupFromValues(rawList, kind);
+      if(grouped){
+        normalized[kind] = grouped[kind];
+      }
+    });
+    return Object.keys(normalized).length ? normalized : null;
+  }
+
+  function mergeExportGroupMaps(base, addition){
+    if(!addition) return base || null;
+    const target = base ? { ...base } : {};
+    Object.entries(addition).forEach(([kind, values]) => {
+      if(!Array.isArray(values) || !values.length) return;
+      if(!target[kind]) target[kind] = [];
+      values.forEach(value => {
+        const cloned = cloneExportEntry(value);
+        if(cloned !== null && cloned !== undefined){
+          target[kind].push(cloned);
+        }
+      });
+    });
+    return Object.keys(target).length ? target : null;
+  }
+
+  function recordExports(exportsById, id, groups){
+    if(id == null) return;
+    const normalized = normalizeExportGroups(groups);
+    if(!normalized) return;
+
+    const store = (key)=>{
+      if(!key) return;
+      const existing = exportsById.get(key);
+      exportsById.set(key, mergeExportGroupMaps(existing, normalized));
+    };
+
+    const canonical = canonicalExportId(id);
+    if(canonical) store(canonical);
+
+    if(typeof id === 'string'){
+      const trimmed = id.trim();
+      if(trimmed && trimmed !== canonical){
+        store(trimmed);
+      }
+    }
+  }
+
+  function ingestExports(exportsById, container, visited){
+    if(container == null) return;
+    if(visited && typeof container === 'object'){
+      if(visited.has(container)) return;
+      visited.add(container);
+    }
+    if(Array.isArray(container)){
+      container.forEach(entry => {
+        if(entry == null) return;
+        if(Array.isArray(entry)){
+          if(entry.length >= 2 && typeof entry[0] === 'string'){
+            recordExports(exportsById, entry[0], entry[1]);
+          } else {
+            ingestExports(exportsById, entry, visited);
+          }
+          return;
+        }
+        if(typeof entry !== 'object') return;
+        const id = EXPORT_ID_KEYS.map(key => entry[key]).find(value => typeof value === 'string' && value.trim());
+        if(id){
+          for(const key of EXPORT_GROUP_KEYS){
+            if(entry[key] && typeof entry[key] === 'object'){
+              recordExports(exportsById, id, entry[key]);
+              return;
+            }
+          }
+          const fallback = {};
+          Object.entries(entry).forEach(([key, value]) => {
+            if(EXPORT_SKIP_KEYS.has(key)) return;
+            if(Array.isArray(value) && value.length){
+              fallback[key] = value;
+            }
+          });
+          recordExports(exportsById, id, fallback);
+          return;
+        }
+        ingestExports(exportsById, entry, visited);
+      });
+      return;
+    }
+    if(typeof container !== 'object') return;
+    const directId = EXPORT_ID_KEYS.map(key => container[key]).find(value => typeof value === 'string' && value.trim());
+    if(directId){
+      for(const key of EXPORT_GROUP_KEYS){
+        if(container[key] && typeof container[key] === 'object'){
+          recordExports(exportsById, directId, container[key]);
+          return;
+        }
+      }
+      recordExports(exportsById, directId, container);
+      return;
+    }
+    Object.entries(container).forEach(([key, value]) => {
+      if(value == null) return;
+      if(typeof key === 'string' && key.trim() && !EXPORT_SKIP_KEYS.has(key)){
+        if((typeof value === 'object' || Array.isArray(value)) && (key.includes('/') || key.includes('\\') || key.includes('.'))){
+          recordExports(exportsById, key, value);
+          return;
+        }
+      }
+      ingestExports(exportsById, value, visited);
+    });
+  }
+
+  // Per-file import records, keyed like `exports`: `{ [file]: [{ kind, spec,
+  // named, namedOriginal, default, namespace }] }` or `[{ file, imports }]`.
+  function recordImports(importsById, id, records){
+    if(!Array.isArray(records)) return;
+    const key = canonicalExportId(id);
+    if(!key) return;
+    importsById.set(key, (importsById.get(key) || []).concat(records));
+  }
+
+  function ingestImports(importsById, container){
+    if(!container || typeof container !== 'object') return;
+    if(Array.isArray(container)){
+      container.forEach(entry => {
+        if(Array.isArray(entry) && typeof entry[0] === 'string'){
+          recordImports(importsById, entry[0], entry[1]);
+        } else if(entry && typeof entry === 'object'){
+          const id = EXPORT_ID_KEYS.map(key => entry[key]).find(value => typeof value === 'string' && value.trim());
+          if(id) recordImports(importsById, id, entry.imports || entry.records);
+        }
+      });
+      return;
+    }
+    Object.entries(container).forEach(([id, records]) => recordImports(importsById, id, records));
+  }
+
+  const SIDE_EFFECT_IMPORT_KINDS = new Set(['side_effect', 'side-effect', 'sideeffect', 'sideEffect']);
+
+  function importSymbolName(entry){
+    if(entry && typeof entry === 'object' && typeof entry.imported === 'string') return entry.imported.trim();
+    return exportSymbolName(entry);
+  }
+
+  function normalizeImportRecord(record){
+    if(typeof record === 'string') return record ? { spec: record, kind: 'import', names: [], all: true } : null;
+    if(!record || typeof record !== 'object') return null;
+    const spec = [record.spec, record.specifier, record.source, record.from, record.module]
+      .find(value => typeof value === 'string' && value);
+    if(!spec) return null;
+    const kind = typeof record.kind === 'string' && record.kind ? record.kind : 'import';
+    const names = new Set();
+    const listed = [record.namedOriginal, record.named, record.names].find(Array.isArray) || [];
+    listed.forEach(entry => {
+      const name = importSymbolName(entry);
+      if(name) names.add(name);
+    });
+    if(record.default) names.add('default');
+    const item = { spec, kind, names: Array.from(names) };
+    if(record.namespace || record.all === true){
+      item.all = true;
+    } else if(!names.size && (kind === 'reexport' || record.star === true)){
+      item.star = true;
+    } else if(!names.size && !SIDE_EFFECT_IMPORT_KINDS.has(kind)){
+      item.all = true;
+    }
+    return item;
+  }
+
+  const IMPORT_RESOLVE_SUFFIXES = ['', '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts', '/index.js', '/index.mjs', '/index.jsx', '/index.ts', '/index.tsx'];
+
+  // Relative specs resolve against the importing file with the usual
+  // extension and index fallbacks; bare package specs stay unresolved.
+  function resolveImportSpec(fromId, spec, idByCanonical){
+    const direct = canonicalExportId(spec);
+    if(direct && idByCanonical.has(direct)) return idByCanonical.get(direct);
+    if(!spec.startsWith('.')) return null;
+    const from = canonicalExportId(String(fromId));
+    if(!from) return null;
+    const parts = from.split('/').slice(0, -1);
+    spec.replace(/\\/g, '/').split('/').forEach(segment => {
+      if(segment === '..') parts.pop();
+      else if(segment && segment !== '.') parts.push(segment);
+    });
+    const base = parts.join('/');
+    const bases = [base];
+    if(/\.[mc]?jsx?$/.test(base)) bases.push(base.replace(/\.[mc]?jsx?$/, ''));
+    for(const candidate of bases){
+      for(const suffix of IMPORT_RESOLVE_SUFFIXES){
+        if(idByCanonical.has(candidate + suffix)) return idByCanonical.get(candidate + suffix);
+      }
+    }
+    return null;
+  }
+
+  function buildGraphState(payload){
+    const report = typeof payload?.onProgress === 'function' ? payload.onProgress : () => {};
+    const rawGraph = payload?.rawGraph || {};
+    const keepRuleConfig = Array.isArray(payload?.keepRuleConfig) ? payload.keepRuleConfig : [];
+    const localKeepRules = Array.isArray(payload?.localKeepRules) ? payload.localKeepRules : [];
+    const architectureRules = payload?.architectureRules && typeof payload.architectureRules === 'object'
+      ? payload.architectureRules
+      : (rawGraph.architectureRules || null);
+    // Entries shipped inside the graph file always apply; the payload adds
+    // the viewer's own suppressions on top.
+    const graphSecurityBaseline = normalizeSecurityBaseline(rawGraph.securityBaseline);
+    const securityBaseline = graphSecurityBaseline.concat(normalizeSecurityBaseline(payload?.securityBaseline));
+
+    report({ phase: 'edges' });
+    const normalizedEdges = collectGraphEdges(rawGraph);
+    const graph = {
+      nodes: Array.isArray(rawGraph.nodes) ? rawGraph.nodes.map(node => ({ ...node })) : [],
+      edges: normalizedEdges
+    };
+
+    report({ phase: 'ingest' });
+    const exportsById = new Map();
+    const exportSources = [rawGraph.exports, rawGraph.exportedSymbols];
+    if(rawGraph.symbols && typeof rawGraph.symbols === 'object'){
+      exportSources.push(rawGraph.symbols.exports, rawGraph.symbols);
+    }
+    const visitedExportContainers = createExportVisitTracker();
+    exportSources.forEach(source => ingestExports(exportsById, source, visitedExportContainers));
+
+    const securityById = new Map();
+    const securitySources = [rawGraph.securityFindings];
+    if(rawGraph.security && typeof rawGraph.security === 'object'){
+      securitySources.push(rawGraph.security.findings, rawGraph.security);
+    }
+    securitySources.forEach(source => ingestSecurityFindings(source, securityById));
+
+    const importsById = new Map();
+    ingestImports(importsById, rawGraph.imports);
+    const idByCanonical = new Map();
+    graph.nodes.forEach(node => {
+      if(!node || node.id == null) return;
+      [node.id, node.absPath].forEach(value => {
+        const canonical = typeof value === 'string' ? canonicalExportId(value) : null;
+        if(canonical && !idByCanonical.has(canonical)) idByCanonical.set(canonical, node.id);
+      });
+    });
+
+    const NODE_EXPORT_ID_KEYS = [
+      'id',
+      'absPath',
+      'path',
+      'file',
+      'module',
+      'source',
+      'resolvedPath',
+      'realPath',
+      'canonicalPath',
+      'uri'
+    ];
+    const collectCandidateIds = (from, target)=>{
+      if(!from) return;
+      if(typeof from === 'string'){ target.add(from); return; }
+      if(Array.isArray(from)){ from.forEach(value => collectCandidateIds(value, target)); }
+      if(typeof from === 'object'){
+        NODE_EXPORT_ID_KEYS.forEach(key => {
+          if(Object.prototype.hasOwnProperty.call(from, key)){
+            collectCandidateIds(from[key], target);
+          }
+        });
+      }
+    };
+
+    graph.nodes.forEach(node => {
+      if(!node || (typeof node !== 'object')) return;
+      const direct = normalizeExportGroups(node.exports);
+      let collected = null;
+      const candidates = new Set();
+      NODE_EXPORT_ID_KEYS.forEach(key => collectCandidateIds(node[key], candidates));
+      if(node.meta && typeof node.meta === 'object'){
+        NODE_EXPORT_ID_KEYS.forEach(key => collectCandidateIds(node.meta[key], candidates));
+      }
+      if(candidates.size === 0 && typeof node.id === 'string'){
+        candidates.add(node.id);
+      }
+
+      const candidateList = Array.from(candidates).filter(value => typeof value === 'string');
+
+      for(const candidate of candidateList){
+        if(typeof candidate !== 'string') continue;
+        const canonical = canonicalExportId(candidate);
+        if(canonical && exportsById.has(canonical)){
+          collected = exportsById.get(canonical);
+          break;
+        }
+      }
+
+      if(!collected){
+        for(const candidate of candidateList){
+          if(typeof candidate !== 'string') continue;
+          const trimmed = candidate.trim();
+          if(!trimmed) continue;
+          if(exportsById.has(trimmed)){
+            collected = exportsById.get(trimmed);
+            break;
+          }
+        }
+      }
+
+      const merged = mergeExportGroupMaps(direct, collected);
+      if(merged){
+        node.exports = merged;
+      } else if(node.exports){
+        delete node.exports;
+      }
+
+      const directSecurity = collectNodeSecurityFindings(node);
+      let referencedSecurity = null;
+      if(securityById.size){
+        for(const candidate of candidateList){
+          const canonical = canonicalExportId(candidate);
+          if(canonical && securityById.has(canonical)){
+            referencedSecurity = securityById.get(canonical);
+            break;
+          }
+        }
+        if(!referencedSecurity){
+          for(const candidate of candidateList){
+            const trimmed = typeof candidate === 'string' ? candidate.trim() : '';
+            if(!trimmed) continue;
+            if(securityById.has(trimmed)){
+              referencedSecurity = securityById.get(trimmed);
+              break;
+            }
+          }
+        }
+      }
+
+      const importRecords = (Array.isArray(node.imports) ? node.imports : [])
+        .concat(candidateList.map(candidate => importsById.get(canonicalExportId(candidate))).find(Boolean) || []);
+      if(importRecords.length){
+        node.imports = importRecords.map(normalizeImportRecord).filter(Boolean).map(record => {
+          record.target = resolveImportSpec(node.id, record.spec, idByCanonical);
+          return record;
+        });
+      }
+
+      const mergedSecurity = mergeSecurityFindingLists(directSecurity, referencedSecurity);
+      if(mergedSecurity.length){
+        node.securityFindings = mergedSecurity;
+      } else if(node.securityFindings){
+        delete node.securityFindings;
+      }
+    });
+
+    if(securityBaseline.length) applySecurityBaseline(graph.nodes, securityBaseline);
+    const coverage = Array.isArray(payload?.coverage) ? payload.coverage.map(resolveCoverageReport) : [];
+    const coverageSummary = coverage.length ? applyCoverage(graph.nodes, coverage) : null;
+    const loadTraces = Array.isArray(payload?.loadTraces) ? payload.loadTraces.map(resolveLoadTrace) : [];
+    const traceSummary = loadTraces.length ? applyLoadTraces(graph, loadTraces) : null;
+
+    computeDegrees(graph);
+    inferUsageStates(graph);
+    const cycleSummary = annotateCycles(graph);
+    const entrypoints = normalizeEntrypoints(rawGraph, graph);
+    const graphProfiles = normalizeProfiles(rawGraph);
+    const localProfiles = Array.isArray(payload?.localProfiles) ? payload.localProfiles : [];
+    const profiles = mergeLocalProfiles(graphProfiles, localProfiles);
+    const compiledKeepRules = compileKeepRules(keepRuleConfig, localKeepRules);
+    const profileResults = classifyGraph(graph, profiles, entrypoints, { compiledKeepRules, onProgress: report });
+    const securitySummary = summarizeSecurityFindings(graph.nodes);
+    const riskSummary = computeSecurityExposure(graph, profileResults, entrypoints);
+    const unusedExportsSummary = computeUnusedExports(graph, profileResults, entrypoints);
+    const architectureSummary = evaluateArchitectureRules(graph, compileArchitectureRules(architectureRules));
+    const metricsSummary = computeArchitectureMetrics(graph, profileResults, entrypoints);
+
+    return {
+      graph,
+      entrypoints,
+      profiles,
+      graphProfiles,
+      localProfiles,
+      keepRuleConfig,
+      localKeepRules,
+      architectureRules,
+      graphSecurityBaseline,
+      securityBaseline,
+      coverage,
+      loadTraces,
+      compiledKeepRules,
+      profileResults,
+      summary: {
+        security: securitySummary,
+        risk: riskSummary,
+        unusedExports: unusedExportsSummary,
+        coverage: coverageSummary,
+        traces: traceSummary,
+        cycles: cycleSummary,
+        architecture: architectureSummary,
+        metrics: metricsSummary
+      }
+    };
+  }
+
+  function serializeProfileResults(profileResults){
+    return profileResults.map(res => ({
+      profile: res.profile,
+      reachableAll: Array.from(res.reachableAll),
+      reachableNoDeferred: Array.from(res.reachableNoDeferred),
+      reachableNoDynamic: Array.from(res.reachableNoDynamic),
+      reachableRuntime: Array.from(res.reachableRuntime),
+      reachableTest: Array.from(res.reachableTest),
+      reachableBuild: Array.from(res.reachableBuild),
+      reachableStatic: Array.from(res.reachableStatic),
+      reachableObserved: Array.from(res.reachableObserved),
+      witnesses: serializeWitnesses(res.witnesses)
+    }));
+  }
+
+  function serializeGraphState(state){
+    return {
+      graph: state.graph,
+      entrypoints: state.entrypoints,
+      profiles: state.profiles,
+      compiledKeepRules: toSerializableRegexList(state.compiledKeepRules),
+      profileResults: serializeProfileResults(state.profileResults),
+      coverage: state.coverage,
+      loadTraces: state.loadTraces,
+      summary: state.summary
+    };
+  }
+
+  function preprocessGraph(payload){
+    return serializeGraphState(buildGraphState(payload));
+  }
+
+  // Sessions keep the processed state around so small edits (keep rules,
+  // edges, entrypoints, profiles) only recompute what they touch and report
+  // the nodes whose classification moved.
+  function createGraphSession(payload){
+    const state = buildGraphState(payload);
+    return { state, result: serializeGraphState(state) };
+  }
+
+  // componentId is a traversal index that renumbers on any edge change, so
+  // deltas track cycle membership through cycleId only.
+  const NODE_DELTA_KEYS = ['statusByProfile', 'primaryByProfile', 'reachableProfiles', 'inDeg', 'outDeg', 'cycleId', 'securityFindings', 'riskByProfile', 'unusedExportsByProfile', 'coverageHits', 'coverageLines', 'coveragePct', 'coverageFormat'];
+  // Metrics move on most nodes after any edge change, so they travel as a
+  // full `nodeMetrics` list instead of inflating `changedNodes`.
+  const NODE_METRIC_KEYS = ['depthByProfile', 'fanInTransitive', 'fanOutTransitive', 'betweenness', 'instability'];
+
+  function nodeDeltaSignature(node){
+    return JSON.stringify(NODE_DELTA_KEYS.map(key => node[key] === undefined ? null : node[key]));
+  }
+
+  // A delta edge without a kind matches every kind between its endpoints, so
+  // key sets carry both the exact key and the kind-less one.
+  function deltaEdgeKey(edge, withKind = true){
+    const kind = withKind ? (typeof edge.kind === 'string' ? edge.kind : (typeof edge.type === 'string' ? edge.type : '')) : '';
+    return `${nodeId(edge.source)}=>${nodeId(edge.target)}:${kind}`;
+  }
+
+  function edgeKeySet(edges){
+    const keys = new Set();
+    edges.forEach(edge => {
+      keys.add(deltaEdgeKey(edge));
+      keys.add(deltaEdgeKey(edge, false));
+    });
+    return keys;
+  }
+
+  function applyGraphDelta(session, delta = {}, options = {}){
+    const state = session && session.state ? session.state : session;
+    if(!state || !state.graph) throw new Error('Graph session is not initialised');
+    const graph = state.graph;
+    const before = new Map(graph.nodes.map(node => [node.id, nodeDeltaSignature(node)]));
+    const changes = { keepRules: false, edges: false, entrypoints: false, profiles: false, securityBaseline: false, coverage: false, loadTraces: false };
+
+    if(Array.isArray(delta.keepRuleConfig) || Array.isArray(delta.localKeepRules)){
+      if(Array.isArray(delta.keepRuleConfig)) state.keepRuleConfig = delta.keepRuleConfig;
+      if(Array.isArray(delta.localKeepRules)) state.localKeepRules = delta.localKeepRules;
+      state.compiledKeepRules = compileKeepRules(state.keepRuleConfig, state.localKeepRules);
+      changes.keepRules = true;
+    }
+
+    const edgesRemoved = [];
+    const removals = Array.isArray(delta.removeEdges) ? collectGraphEdges({ edges: delta.removeEdges }) : [];
+    if(removals.length){
+      const removalKeys = new Set(removals.map(match => deltaEdgeKey(match)));
+      graph.edges = graph.edges.filter(edge => {
+        if(!removalKeys.has(deltaEdgeKey(edge)) && !removalKeys.has(deltaEdgeKey(edge, false))) return true;
+        edgesRemoved.push(edge);
+        return false;
+      });
+    }
+    let edgesAdded = [];
+    if(Array.isArray(delta.addEdges)){
+      const existingKeys = edgeKeySet(graph.edges);
+      edgesAdded = collectGraphEdges({ edges: delta.addEdges }).filter(edge => !existingKeys.has(deltaEdgeKey(edge)));
+    }
+    edgesAdded.forEach(edge => graph.edges.push(edge));
+
+    let traceSummary;
+    if(Array.isArray(delta.loadTraces)){
+      edgesRemoved.push(...graph.edges.filter(edge => edge.traced));
+      state.loadTraces = delta.loadTraces.map(resolveLoadTrace);
+      traceSummary = applyLoadTraces(graph, state.loadTraces);
+      edgesAdded.push(...graph.edges.filter(edge => edge.traced));
+      changes.loadTraces = true;
+    }
+    changes.edges = edgesAdded.length > 0 || edgesRemoved.length > 0 || changes.loadTraces;
+
+    if(delta.entrypoints != null){
+      state.entrypoints = normalizeEntrypoints({ entrypoints: delta.entrypoints }, graph);
+      changes.entrypoints = true;
+    }
+    if(delta.profiles != null || delta.localProfiles != null){
+      if(delta.profiles != null) state.graphProfiles = normalizeProfiles({ profiles: delta.profiles });
+      if(Array.isArray(delta.localProfiles)) state.localProfiles = delta.localProfiles;
+      state.profiles = mergeLocalProfiles(state.graphProfiles, state.localProfiles);
+      graph.nodes.forEach(node => {
+        node.statusByProfile = {};
+        node.primaryByProfile = {};
+      });
+      changes.profiles = true;
+    }
+
+    const summary = {};
+    if(changes.loadTraces) summary.traces = traceSummary;
+    if(delta.securityBaseline != null){
+      state.securityBaseline = (state.graphSecurityBaseline || []).concat(normalizeSecurityBaseline(delta.securityBaseline));
+      applySecurityBaseline(graph.nodes, state.securityBaseline);
+      summary.security = summarizeSecurityFindings(graph.nodes);
+      changes.securityBaseline = true;
+    }
+    if(Array.isArray(delta.coverage)){
+      state.coverage = delta.coverage.map(resolveCoverageReport);
+      if(state.coverage.length){
+        summary.coverage = applyCoverage(graph.nodes, state.coverage);
+      } else {
+        clearCoverage(graph.nodes);
+        summary.coverage = null;
+      }
+      changes.coverage = true;
+    }
+    if(changes.edges){
+      computeDegrees(graph);
+      summary.cycles = annotateCycles(graph);
+      summary.architecture = evaluateArchitectureRules(graph, compileArchitectureRules(state.architectureRules));
+    }
+    const reachabilityChanged = changes.edges || changes.entrypoints || changes.profiles;
+    if(reachabilityChanged){
+      state.profileResults = classifyGraph(graph, state.profiles, state.entrypoints, {
+        compiledKeepRules: state.compiledKeepRules,
+        onProgress: options.onProgress
+      });
+    } else if(changes.keepRules || changes.coverage){
+      if(typeof options.onProgress === 'function') options.onProgress({ phase: 'classify' });
+      assignNodeStatuses(graph, state.profileResults, state.compiledKeepRules);
+    }
+    if(reachabilityChanged || changes.securityBaseline){
+      summary.risk = computeSecurityExposure(graph, state.profileResults, state.entrypoints);
+    }
+    if(reachabilityChanged){
+      summary.unusedExports = computeUnusedExports(graph, state.profileResults, state.entrypoints);
+      const depth = computeEntrypointDepths(graph, state.profileResults, state.entrypoints);
+      summary.metrics = changes.edges
+        ? { ...computeStructureMetrics(graph), depth }
+        : { ...state.summary.metrics, depth };
+    }
+    Object.assign(state.summary, summary);
+
+    const changedNodes = [];
+    graph.nodes.forEach(node => {
+      if(before.get(node.id) === nodeDeltaSignature(node)) return;
+      const patch = { id: node.id };
+      NODE_DELTA_KEYS.forEach(key => { patch[key] = node[key]; });
+      changedNodes.push(patch);
+    });
+
+    return {
+      changedNodes,
+      edgesAdded,
+      edgesRemoved: edgesRemoved.map(edge => ({ source: edge.source, target: edge.target, kind: edge.kind || edge.type || '' })),
+      entrypoints: changes.entrypoints ? state.entrypoints : null,
+      profiles: changes.profiles ? state.profiles : null,
+      compiledKeepRules: changes.keepRules ? toSerializableRegexList(state.compiledKeepRules) : null,
+      securityBaseline: changes.securityBaseline ? state.securityBaseline : null,
+      coverage: changes.coverage ? state.coverage : null,
+      loadTraces: changes.loadTraces ? state.loadTraces : null,
+      confirmedEdges: changes.loadTraces
+        ? graph.edges.filter(edge => !edge.traced && edge.tracedCount > 0).map(edge => ({ source: edge.source, target: edge.target, kind: edge.kind || edge.type || '', tracedCount: edge.tracedCount }))
+        : null,
+      profileResults: reachabilityChanged ? serializeProfileResults(state.profileResults) : null,
+      nodeMetrics: reachabilityChanged
+        ? graph.nodes.map(node => {
+          const entry = { id: node.id };
+          NODE_METRIC_KEYS.forEach(key => { entry[key] = node[key]; });
+          return entry;
+        })
+        : null,
+      summary
+    };
+  }
+
+  const DIFF_ROOT_KEYS = ['root', 'projectRoot', 'rootDir', 'cwd', 'basePath'];
+
+  function looksAbsolutePath(value){
+    return typeof value === 'string' && (value.startsWith('/') || /^[A-Z]:\//.test(value));
+  }
+
+  function detectDiffRoot(input, ids){
+    const meta = input && typeof input.meta === 'object' && input.meta ? input.meta : {};
+    for(const key of DIFF_ROOT_KEYS){
+      const candidate = canonicalExportId(typeof input?.[key] === 'string' ? input[key] : meta[key]);
+      if(candidate) return candidate.replace(/\/+$/, '');
+    }
+    const absolute = ids.filter(looksAbsolutePath);
+    if(!absolute.length) return null;
+    let prefix = absolute[0].split('/').slice(0, -1);
+    absolute.forEach(id => {
+      const parts = id.split('/').slice(0, -1);
+      let i = 0;
+      while(i < prefix.length && i < parts.length && prefix[i] === parts[i]) i += 1;
+      prefix = prefix.slice(0, i);
+    });
+    const root = prefix.join('/');
+    return root && root !== '/' && !/^[A-Z]:$/.test(root) ? root : null;
+  }
+
+  function detectGraphRoot(rawGraph, nodes){
+    const ids = (Array.isArray(nodes) ? nodes : [])
+      .map(node => (node && node.id != null ? canonicalExportId(String(node.id)) : null))
+      .filter(Boolean);
+    return detectDiffRoot(rawGraph || {}, ids);
+  }
+
+  // Keys a graph to its viewer workspace: the project root when the ids carry
+  // one, so re-crawls of the same project land in the same workspace.
+  // Otherwise an FNV-1a hash of the sorted node ids, which changes whenever a
+  // file is added or removed; such a re-crawl opens a new workspace.
+  function graphFingerprint(rawGraph, nodes){
+    const root = detectGraphRoot(rawGraph, nodes);
+    if(root) return `root:${root}`;
+    const ids = (Array.isArray(nodes) ? nodes : [])
+      .map(node => (node && node.id != null ? String(node.id) : ''))
+      .filter(Boolean)
+      .sort();
+    let hash = 0x811c9dc5;
+    const text = ids.join('\n');
+    for(let i = 0; i < text.length; i++){
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return `ids:${(hash >>> 0).toString(16).padStart(8, '0')}`;
+  }
+
+  function resolveDiffInput(input){
+    if(!input || typeof input !== 'object') return { graph: { nodes: [], edges: [] }, source: {} };
+    if(input.graph && Array.isArray(input.graph.nodes)){
+      return { graph: input.graph, source: input.rawGraph || input };
+    }
+    const nodes = Array.isArray(input.nodes) ? input.nodes : [];
+    if(nodes.some(node => node && node.statusByProfile)){
+      return { graph: { nodes, edges: Array.isArray(input.edges) ? input.edges : [] }, source: input };
+    }
+    return { graph: preprocessGraph({ rawGraph: input }).graph, source: input };
+  }
+
+  function buildDiffIndex(input){
+    const { graph, source } = resolveDiffInput(input);
+    const canonicalIds = graph.nodes.map(node => canonicalExportId(String(node?.id ?? '')) || '');
+    const root = detectDiffRoot(source, canonicalIds.filter(Boolean));
+    const keyById = new Map();
+    graph.nodes.forEach((node, idx) => {
+      if(!node || node.id == null) return;
+      let key = canonicalIds[idx] || String(node.id);
+      if(root && key.startsWith(`${root}/`)) key = key.substring(root.length + 1);
+      keyById.set(node.id, key);
+    });
+    return { graph, root, keyById };
+  }
+
+  // Inferred roots can differ in depth between crawls, so leftover keys are
+  // paired when one is a unique path suffix of the other.
+  function alignDiffKeys(prev, next){
+    const nextKeys = new Set(next.keyById.values());
+    const prevKeys = new Set(prev.keyById.values());
+    const basename = (key) => key.split('/').pop();
+    const pending = new Map();
+    nextKeys.forEach(key => {
+      if(prevKeys.has(key)) return;
+      const base = basename(key);
+      if(!pending.has(base)) pending.set(base, []);
+      pending.get(base).push(key);
+    });
+    const isSuffix = (a, b) => a === b || a.endsWith(`/${b}`) || b.endsWith(`/${a}`);
+    const claimed = new Set();
+    prev.keyById.forEach((key, id) => {
+      if(nextKeys.has(key)) return;
+      const candidates = (pending.get(basename(key)) || []).filter(candidate => isSuffix(candidate, key));
+      if(candidates.length !== 1 || claimed.has(candidates[0])) return;
+      claimed.add(candidates[0]);
+      prev.keyById.set(id, candidates[0]);
+    });
+  }
+
+  function indexDiffGraph(index){
+    const nodesByKey = new Map();
+    index.graph.nodes.forEach(node => {
+      const key = node ? index.keyById.get(node.id) : null;
+      if(key != null && !nodesByKey.has(key)) nodesByKey.set(key, node);
+    });
+    const edgesByKey = new Map();
+    index.graph.edges.forEach(edge => {
+      const src = nodeId(edge.source);
+      const tgt = nodeId(edge.target);
+      const srcKey = index.keyById.get(src) || canonicalExportId(String(src)) || String(src);
+      const tgtKey = index.keyById.get(tgt) || canonicalExportId(String(tgt)) || String(tgt);
+      const kind = String(edge.kind || edge.type || '');
+      const key = `${srcKey}=>${tgtKey}:${kind}`;
+      if(!edgesByKey.has(key)) edgesByKey.set(key, { source: src, target: tgt, sourceKey: srcKey, targetKey: tgtKey, kind });
+    });
+    return { ...index, nodesByKey, edgesByKey };
+  }
+
+  function diffFindingKey(finding){
+    return [
+      normalizeSecuritySeverity(finding.severityNormalized != null ? finding.severityNormalized : finding.severity),
+      finding.id || '',
+      finding.code || '',
+      finding.message || ''
+    ].join('|');
+  }
+
+  function diffNodeFindings(beforeNode, afterNode){
+    const beforeList = beforeNode ? collectNodeSecurityFindings(beforeNode) : [];
+    const afterList = afterNode ? collectNodeSecurityFindings(afterNode) : [];
+    const beforeKeys = new Set(beforeList.map(diffFindingKey));
+    const afterKeys = new Set(afterList.map(diffFindingKey));
+    return {
+      added: afterList.filter(item => !beforeKeys.has(diffFindingKey(item))).map(cloneSecurityFinding),
+      resolved: beforeList.filter(item => !afterKeys.has(diffFindingKey(item))).map(cloneSecurityFinding)
+    };
+  }
+
+  function diffStatusByProfile(beforeNode, afterNode){
+    const before = beforeNode?.statusByProfile || {};
+    const after = afterNode?.statusByProfile || {};
+    const changes = {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(profile => {
+      const prev = Array.isArray(before[profile]) ? before[profile].slice().sort() : [];
+      const next = Array.isArray(after[profile]) ? after[profile].slice().sort() : [];
+      if(prev.join('|') === next.join('|')) return;
+      changes[profile] = {
+        before: prev,
+        after: next,
+        primaryBefore: beforeNode?.primaryByProfile?.[profile] || null,
+        primaryAfter: afterNode?.primaryByProfile?.[profile] || null
+      };
+    });
+    return Object.keys(changes).length ? changes : null;
+  }
+
+  function diffGraphs(before, after){
+    const prevIndex = buildDiffIndex(before);
+    const nextIndex = buildDiffIndex(after);
+    alignDiffKeys(prevIndex, nextIndex);
+    const prev = indexDiffGraph(prevIndex);
+    const next = indexDiffGraph(nextIndex);
+    const locOf = (node) => {
+      const value = Number(node?.sizeLOC);
+      return Number.isFinite(value) ? value : null;
+    };
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    const newFindings = [];
+    const resolvedFindings = [];
+    let locBefore = 0;
+    let locAfter = 0;
+
+    prev.nodesByKey.forEach((node, key) => {
+      locBefore += locOf(node) || 0;
+      if(next.nodesByKey.has(key)) return;
+      removed.push({ key, id: node.id });
+      diffNodeFindings(node, null).resolved.forEach(finding => resolvedFindings.push({ key, id: node.id, finding }));
+    });
+
+    next.nodesByKey.forEach((node, key) => {
+      locAfter += locOf(node) || 0;
+      const previous = prev.nodesByKey.get(key);
+      const findings = diffNodeFindings(previous, node);
+      findings.added.forEach(finding => newFindings.push({ key, id: node.id, finding }));
+      findings.resolved.forEach(finding => resolvedFindings.push({ key, id: node.id, finding }));
+      if(!previous){
+        added.push({ key, id: node.id });
+        return;
+      }
+      const entry = { key, id: node.id, beforeId: previous.id };
+      const locPrev = locOf(previous);
+      const locNext = locOf(node);
+      if(locPrev !== locNext){
+        entry.loc = { before: locPrev, after: locNext, delta: (locNext || 0) - (locPrev || 0) };
+      }
+      const statusChanges = diffStatusByProfile(previous, node);
+      if(statusChanges) entry.statusByProfile = statusChanges;
+      if(findings.added.length || findings.resolved.length) entry.findings = findings;
+      if(entry.loc || entry.statusByProfile || entry.findings) changed.push(entry);
+    });
+
+    const afterIdForKey = (key) => next.nodesByKey.get(key)?.id ?? null;
+    const edgesAdded = [];
+    const edgesRemoved = [];
+    next.edgesByKey.forEach((edge, key) => {
+      if(prev.edgesByKey.has(key)) return;
+      edgesAdded.push({ source: edge.source, target: edge.target, kind: edge.kind });
+    });
+    prev.edgesByKey.forEach((edge, key) => {
+      if(next.edgesByKey.has(key)) return;
+      edgesRemoved.push({
+        source: edge.source,
+        target: edge.target,
+        kind: edge.kind,
+        sourceAfter: afterIdForKey(edge.sourceKey),
+        targetAfter: afterIdForKey(edge.targetKey)
+      });
+    });
+
+    return {
+      roots: { before: prev.root, after: next.root },
+      nodes: { added, removed, changed },
+      edges: { added: edgesAdded, removed: edgesRemoved },
+      loc: { before: locBefore, after: locAfter, delta: locAfter - locBefore },
+      security: { newFindings, resolvedFindings },
+      summary: {
+        nodesAdded: added.length,
+        nodesRemoved: removed.length,
+        nodesChanged: changed.length,
+        statusChanges: changed.filter(entry => entry.statusByProfile).length,
+        edgesAdded: edgesAdded.length,
+        edgesRemoved: edgesRemoved.length,
+        locDelta: locAfter - locBefore,
+        findingsNew: newFindings.length,
+        findingsResolved: resolvedFindings.length
+      }
+    };
+  }
+
+  function commonDirectoryPrefix(paths){
+    const dirs = paths.filter(path => path.includes('/')).map(path => path.split('/').slice(0, -1));
+    if(!dirs.length) return '';
+    let prefix = dirs[0];
+    dirs.forEach(parts => {
+      let i = 0;
+      while(i < prefix.length && i < parts.length && prefix[i] === parts[i]) i += 1;
+      prefix = prefix.slice(0, i);
+    });
+    return prefix.join('/');
+  }
+
+  function worstStatus(statuses){
+    let worst = null;
+    statuses.forEach(status => {
+      if(worst == null || STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst)) worst = status;
+    });
+    return worst;
+  }
+
+  function aggregateGraph(graph, options = {}){
+    const by = options.by === 'package' ? 'package' : 'directory';
+    const expanded = new Set(options.expanded || []);
+    const nodes = Array.isArray(graph?.nodes) ? graph.nodes.filter(node => node && node.id != null) : [];
+    const edges = Array.isArray(graph?.edges) ? graph.edges : [];
+    const pathById = new Map(nodes.map(node => [node.id, canonicalExportId(String(node.id)) || String(node.id)]));
+    const root = typeof options.root === 'string'
+      ? options.root.replace(/\/+$/, '')
+      : commonDirectoryPrefix(Array.from(pathById.values()));
+
+    // A node folds into the shallowest group that is not expanded; once every
+    // level is expanded it is shown as itself.
+    const groupChainFor = (node) => {
+      if(by === 'package'){
+        const pkg = node.package || node.module;
+        return pkg ? [String(pkg)] : [];
+      }
+      let path = pathById.get(node.id);
+      if(root && path.startsWith(`${root}/`)) path = path.substring(root.length + 1);
+      const dirs = path.split('/').slice(0, -1).filter(Boolean);
+      return dirs.map((_, idx) => dirs.slice(0, idx + 1).join('/'));
+    };
+
+    const clusters = new Map();
+    const memberOf = new Map();
+    const parentOf = new Map();
+    const displayNodes = [];
+    nodes.forEach(node => {
+      const chain = groupChainFor(node);
+      const depth = chain.findIndex(key => !expanded.has(key));
+      if(depth === -1){
+        displayNodes.push(node);
+        parentOf.set(node.id, chain.length ? chain[chain.length - 1] : null);
+        return;
+      }
+      const key = chain[depth];
+      const id = `cluster:${key}`;
+      if(!clusters.has(id)){
+        const cluster = {
+          id,
+          type: 'cluster',
+          cluster: true,
+          clusterKey: key,
+          clusterBy: by,
+          label: by === 'package' ? key : `${key}/`,
+          package: by === 'package' ? key : null,
+          depth: depth + 1,
+          parentKey: depth > 0 ? chain[depth - 1] : null,
+          memberIds: [],
+          memberCount: 0,
+          sizeLOC: 0,
+          inDeg: 0,
+          outDeg: 0,
+          statusByProfile: {},
+          primaryByProfile: {},
+          reachableProfiles: [],
+          securityFindingCount: 0,
+          securityBySeverity: {}
+        };
+        clusters.set(id, cluster);
+        displayNodes.push(cluster);
+        parentOf.set(id, cluster.parentKey);
+      }
+      const cluster = clusters.get(id);
+      cluster.memberIds.push(node.id);
+      cluster.memberCount += 1;
+      const loc = Number(node.sizeLOC);
+      if(Number.isFinite(loc)) cluster.sizeLOC += loc;
+      Object.entries(node.primaryByProfile || {}).forEach(([profile, status]) => {
+        cluster.primaryByProfile[profile] = worstStatus([cluster.primaryByProfile[profile], status].filter(Boolean));
+      });
+      (node.reachableProfiles || []).forEach(profile => {
+        if(!cluster.reachableProfiles.includes(profile)) cluster.reachableProfiles.push(profile);
+      });
+      collectNodeSecurityFindings(node).forEach(finding => {
+        const severity = normalizeSecuritySeverity(finding.severityNormalized != null ? finding.severityNormalized : finding.severity);
+        cluster.securityFindingCount += 1;
+        cluster.securityBySeverity[severity] = (cluster.securityBySeverity[severity] || 0) + 1;
+      });
+      memberOf.set(node.id, id);
+    });
+    clusters.forEach(cluster => {
+      Object.entries(cluster.primaryByProfile).forEach(([profile, status]) => {
+        cluster.statusByProfile[profile] = [status];
+      });
+    });
+
+    const displayIdFor = (id) => memberOf.get(id) || id;
+    const weighted = new Map();
+    const displayEdges = [];
+    edges.forEach(edge => {
+      const src = nodeId(edge.source);
+      const tgt = nodeId(edge.target);
+      if(!pathById.has(src) || !pathById.has(tgt)) return;
+      const from = displayIdFor(src);
+      const to = displayIdFor(tgt);
+      if(from === to && clusters.has(from)) return;
+      if(!clusters.has(from) && !clusters.has(to)){
+        displayEdges.push(edge);
+        return;
+      }
+      const key = `${from}=>${to}`;
+      if(!weighted.has(key)){
+        const aggregate = { id: `aggregate:${key}`, source: from, target: to, kind: 'aggregate', weight: 0 };
+        weighted.set(key, aggregate);
+        displayEdges.push(aggregate);
+      }
+      weighted.get(key).weight += 1;
+    });
+    weighted.forEach(edge => {
+      if(clusters.has(edge.source)) clusters.get(edge.source).outDeg += edge.weight;
+      if(clusters.has(edge.target)) clusters.get(edge.target).inDeg += edge.weight;
+    });
+
+    return {
+      by,
+      root,
+      nodes: displayNodes,
+      edges: displayEdges,
+      clusters: Array.from(clusters.values()),
+      memberOf,
+      parentOf
+    };
+  }
+
+  function collectGraphEdges(root){
+    const normalized = [];
+    const seen = new Set();
+    const visited = new Set();
+
+    function normalizeEdge(edge){
+      if(!edge || typeof edge !== 'object') return;
+      const rawSource = EDGE_SOURCE_KEYS.map(key => edge[key]).find(value => value !== undefined);
+      const rawTarget = EDGE_TARGET_KEYS.map(key => edge[key]).find(value => value !== undefined);
+      const srcId = extractNodeId(rawSource);
+      const tgtId = extractNodeId(rawTarget);
+      if(!srcId || !tgtId) return;
+      const normalizedEdge = { ...edge, source: srcId, target: tgtId };
+      const kind = typeof normalizedEdge.kind === 'string' ? normalizedEdge.kind : (typeof normalizedEdge.type === 'string' ? normalizedEdge.type : '');
+      const key = `${srcId}=>${tgtId}:${kind || ''}`;
+      if(seen.has(key)) return;
+      seen.add(key);
+      normalized.push(normalizedEdge);
+    }
+
+    function ingestEdgeContainer(container){
+      if(container == null) return;
+      if(Array.isArray(container)){
+        container.forEach(item => {
+          if(item && typeof item === 'object'){
+            normalizeEdge(item);
+          }
+        });
+        return;
+      }
+      if(typeof container === 'object'){
+        const list = Array.isArray(container.list) ? container.list : Array.isArray(container.items) ? container.items : null;
+        if(list){
+          ingestEdgeContainer(list);
+        }
+      }
+    }
+
+    function looksLikeEdgeObject(obj){
+      if(!obj || typeof obj !== 'object') return false;
+      return EDGE_SOURCE_KEYS.some(key => Object.prototype.hasOwnProperty.call(obj, key)) || EDGE_TARGET_KEYS.some(key => Object.prototype.hasOwnProperty.call(obj, key));
+    }
+
+    function traverse(value){
+      if(value == null || typeof value !== 'object') return;
+      if(visited.has(value)) return;
+      visited.add(value);
+
+      if(Array.isArray(value)){
+        if(value.some(looksLikeEdgeObject)){
+          ingestEdgeContainer(value);
+          return;
+        }
+        value.forEach(traverse);
+        return;
+      }
+
+      for(const [key, child] of Object.entries(value)){
+        if(EDGE_CONTAINER_KEYS.has(key)){
+          ingestEdgeContainer(child);
+          continue;
+        }
+        traverse(child);
+      }
     }
+
+    traverse(root);
     return normalized;
   }
 
-  function cloneExportEntry(entry){
-    if(entry == null) return null;
-    if(Array.isArray(entry)){
-      return entry.map(cloneExportEntry).filter(value => value != null);
-    }
-    if(typeof entry === 'object'){
-      const clone = {};
-      Object.entries(entry).forEach(([key, value]) => {
-        const cloned = cloneExportEntry(value);
-        if(cloned !== null && cloned !== undefined){
-          clone[key] = cloned;
-        }
-      });
-      return clone;
-    }
-    return entry;
+  // --- Import adapters ---------------------------------------------------
+  // Graphs produced by other tools are converted to the raw { nodes, edges }
+  // shape before preprocessing. Text input is sniffed for DOT and GraphML;
+  // everything else is parsed as JSON and classified by its structure.
+
+  const IMPORT_EXTENSIONS = { dot: 'dot', gv: 'dot', graphml: 'graphml', xml: 'graphml' };
+  const DOT_LEADING_NOISE = /^(?:\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|#[^\n]*)*/;
+
+  function isStringList(value){
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
   }
 
-  function listFromExportGroup(raw){
-    if(Array.isArray(raw)) return raw;
-    if(raw && typeof raw === 'object'){
-      if(Array.isArray(raw.list)) return raw.list;
-      if(Array.isArray(raw.values)) return raw.values;
-      if(Array.isArray(raw.items)) return raw.items;
-      if(Array.isArray(raw.entries)) return raw.entries;
-      if(Array.isArray(raw.members)) return raw.members;
-      if(Array.isArray(raw.data)) return raw.data;
-      return Object.values(raw);
+  // Top-level keys of a native graph; a header such as `{ "entrypoints": [...] }`
+  // is a list of strings too, but never a madge file.
+  const NATIVE_GRAPH_KEYS = ['nodes', 'edges', 'entrypoints', 'profiles', 'keepRules', 'architectureRules', 'securityBaseline', 'imports', 'exports'];
+
+  function detectGraphFormat(input, name){
+    if(typeof input === 'string'){
+      const ext = typeof name === 'string' ? (/\.([A-Za-z]+)$/.exec(name) || [])[1] : null;
+      if(ext && IMPORT_EXTENSIONS[ext.toLowerCase()]) return IMPORT_EXTENSIONS[ext.toLowerCase()];
+      const head = input.replace(DOT_LEADING_NOISE, '').slice(0, 64);
+      if(head.startsWith('<')) return 'graphml';
+      if(/^(?:strict\s+)?(?:di)?graph\b/i.test(head)) return 'dot';
+      return 'json';
     }
-    if(raw == null) return [];
-    return [raw];
+    if(!input || typeof input !== 'object' || Array.isArray(input)) return 'graph';
+    if(input.nodes !== undefined || input.edges !== undefined) return 'graph';
+    const modules = Array.isArray(input.modules) ? input.modules : null;
+    if(modules && modules.some(mod => mod && typeof mod.source === 'string' && Array.isArray(mod.dependencies))){
+      return 'dependency-cruiser';
+    }
+    if((modules && modules.some(mod => mod && (Array.isArray(mod.reasons) || typeof mod.identifier === 'string')))
+      || (Array.isArray(input.children) && input.children.some(child => child && Array.isArray(child.modules)))){
+      return 'webpack';
+    }
+    if(NATIVE_GRAPH_KEYS.some(key => input[key] !== undefined)) return 'graph';
+    const values = Object.values(input);
+    if(values.length && values.every(isStringList)) return 'madge';
+    return 'graph';
   }
 
-  function normalizeExportGroups(groups){
-    if(groups == null) return null;
-
-    const buildGroupFromValues = (raw, defaultKind = 'symbols') => {
-      const arr = listFromExportGroup(raw)
-        .map(cloneExportEntry)
-        .filter(value => {
-          if(value == null) return false;
-          if(typeof value === 'string') return value.trim() !== '';
-          return true;
-        });
-      return arr.length ? { [defaultKind]: arr } : null;
+  function importedNode(id, extra = {}){
+    return {
+      type: /(^|\/)node_modules\//.test(id) ? 'external' : 'file',
+      ...extra,
+      id
     };
+  }
 
-    if(Array.isArray(groups) || typeof groups !== 'object'){
-      return buildGroupFromValues(groups);
-    }
-
-    const normalized = {};
-    Object.entries(groups).forEach(([kind, rawList]) => {
-      const grouped = buildGroupFromValues(rawList, kind);
-      if(grouped){
-        normalized[kind] = grouped[kind];
+  function createImportBuilder(format){
+    const nodes = new Map();
+    const edges = [];
+    const edgeKeys = new Set();
+    return {
+      node(id, extra){
+        if(!id) return null;
+        const existing = nodes.get(id);
+        if(existing){
+          if(extra) Object.assign(existing, extra);
+          return existing;
+        }
+        const node = importedNode(id, extra);
+        nodes.set(id, node);
+        return node;
+      },
+      edge(source, target, extra = {}){
+        if(!source || !target) return;
+        this.node(source);
+        this.node(target);
+        const key = `${source}=>${target}:${extra.kind || ''}`;
+        if(edgeKeys.has(key)) return;
+        edgeKeys.add(key);
+        edges.push({ ...extra, source, target });
+      },
+      build(extra = {}){
+        return { importedFrom: format, ...extra, nodes: Array.from(nodes.values()), edges };
       }
+    };
+  }
+
+  function importMadge(data){
+    const builder = createImportBuilder('madge');
+    Object.entries(data).forEach(([id, deps]) => {
+      builder.node(id);
+      deps.forEach(dep => builder.edge(id, dep, { kind: 'import' }));
     });
-    return Object.keys(normalized).length ? normalized : null;
+    return builder.build();
   }
 
-  function mergeExportGroupMaps(base, addition){
-    if(!addition) return base || null;
-    const target = base ? { ...base } : {};
-    Object.entries(addition).forEach(([kind, values]) => {
-      if(!Array.isArray(values) || !values.length) return;
-      if(!target[kind]) target[kind] = [];
-      values.forEach(value => {
-        const cloned = cloneExportEntry(value);
-        if(cloned !== null && cloned !== undefined){
-          target[kind].push(cloned);
+  function importDependencyCruiser(data){
+    const builder = createImportBuilder('dependency-cruiser');
+    const isExternalType = (types) => Array.isArray(types) && types.some(type => /^(npm|core)/.test(type));
+    data.modules.forEach(mod => {
+      if(!mod || typeof mod.source !== 'string') return;
+      const extra = {};
+      if(mod.coreModule || mod.couldNotResolve || isExternalType(mod.dependencyTypes)) extra.type = 'external';
+      if(mod.orphan === true) extra.orphan = true;
+      builder.node(mod.source, extra);
+      (mod.dependencies || []).forEach(dep => {
+        const target = dep && (dep.resolved || dep.module);
+        if(!target) return;
+        if(dep.coreModule || dep.couldNotResolve || isExternalType(dep.dependencyTypes)){
+          builder.node(target, { type: 'external' });
         }
+        const edge = { kind: dep.dynamic ? 'dynamic' : 'import' };
+        if(dep.dynamic) edge.dynamic = true;
+        if(Array.isArray(dep.dependencyTypes) && dep.dependencyTypes.length) edge.dependencyTypes = dep.dependencyTypes.slice();
+        if(dep.circular === true) edge.circular = true;
+        builder.edge(mod.source, target, edge);
       });
     });
-    return Object.keys(target).length ? target : null;
+    const baseDir = data.summary && data.summary.optionsUsed && data.summary.optionsUsed.baseDir;
+    return builder.build(typeof baseDir === 'string' && looksAbsolutePath(baseDir) ? { root: baseDir } : {});
   }
 
-  function recordExports(exportsById, id, groups){
-    if(id == null) return;
-    const normalized = normalizeExportGroups(groups);
-    if(!normalized) return;
-
-    const store = (key)=>{
-      if(!key) return;
-      const existing = exportsById.get(key);
-      exportsById.set(key, mergeExportGroupMaps(existing, normalized));
-    };
+  function webpackModuleId(name){
+    if(typeof name !== 'string') return null;
+    let id = name.trim();
+    if(id.includes('!')) id = id.substring(id.lastIndexOf('!') + 1);
+    id = id.replace(/ \+ \d+ modules?$/, '').replace(/^\.\//, '');
+    return id || null;
+  }
 
-    const canonical = canonicalExportId(id);
-    if(canonical) store(canonical);
+  function importWebpackStats(data){
+    const builder = createImportBuilder('webpack');
+    const entrypoints = new Set();
+    const modules = [];
+    const collect = (list) => (Array.isArray(list) ? list : []).forEach(mod => {
+      if(!mod || typeof mod !== 'object') return;
+      modules.push(mod);
+      collect(mod.modules);
+    });
+    collect(data.modules);
+    (Array.isArray(data.children) ? data.children : []).forEach(child => collect(child && child.modules));
 
-    if(typeof id === 'string'){
-      const trimmed = id.trim();
-      if(trimmed && trimmed !== canonical){
-        store(trimmed);
-      }
-    }
+    modules.forEach(mod => {
+      const id = webpackModuleId(mod.name || mod.identifier);
+      if(!id) return;
+      const extra = {};
+      if(typeof mod.identifier === 'string' && mod.identifier.startsWith('external ')) extra.type = 'external';
+      if(Number.isFinite(mod.size)) extra.sizeBytes = mod.size;
+      if(Array.isArray(mod.chunks) && mod.chunks.length) extra.chunks = mod.chunks.slice();
+      builder.node(id, extra);
+      const reasons = Array.isArray(mod.reasons) ? mod.reasons : [];
+      reasons.forEach(reason => {
+        const type = reason && typeof reason.type === 'string' ? reason.type : '';
+        if(type.includes('entry')){
+          entrypoints.add(id);
+          return;
+        }
+        const source = webpackModuleId(reason && (reason.resolvedModule || reason.moduleName));
+        if(!source || source === id) return;
+        const dynamic = type.includes('import()');
+        const edge = { kind: dynamic ? 'dynamic' : (/cjs|require/.test(type) ? 'require' : 'import') };
+        if(dynamic) edge.dynamic = true;
+        builder.edge(source, id, edge);
+      });
+      if(!reasons.length && mod.depth === 0) entrypoints.add(id);
+    });
+    return builder.build(entrypoints.size ? { entrypoints: Array.from(entrypoints) } : {});
   }
 
-  function ingestExports(exportsById, container, visited){
-    if(container == null) return;
-    if(visited && typeof container === 'object'){
-      if(visited.has(container)) return;
-      visited.add(container);
-    }
-    if(Array.isArray(container)){
-      container.forEach(entry => {
-        if(entry == null) return;
-        if(Array.isArray(entry)){
-          if(entry.length >= 2 && typeof entry[0] === 'string'){
-            recordExports(exportsById, entry[0], entry[1]);
+  const DOT_ID_PATTERN = /-?(?:\.\d+|\d+(?:\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*/y;
+  const DOT_KEYWORDS = new Set(['strict', 'graph', 'digraph', 'node', 'edge', 'subgraph']);
+
+  function tokenizeDot(text){
+    const tokens = [];
+    let i = 0;
+    while(i < text.length){
+      const ch = text[i];
+      if(/\s/.test(ch)){
+        i += 1;
+      } else if(ch === '/' && text[i + 1] === '/'){
+        const end = text.indexOf('\n', i);
+        i = end === -1 ? text.length : end + 1;
+      } else if(ch === '/' && text[i + 1] === '*'){
+        const end = text.indexOf('*/', i + 2);
+        i = end === -1 ? text.length : end + 2;
+      } else if(ch === '#' && (i === 0 || text[i - 1] === '\n')){
+        const end = text.indexOf('\n', i);
+        i = end === -1 ? text.length : end + 1;
+      } else if(ch === '"'){
+        let value = '';
+        i += 1;
+        while(i < text.length && text[i] !== '"'){
+          if(text[i] === '\\' && (text[i + 1] === '"' || text[i + 1] === '\n')){
+            if(text[i + 1] === '"') value += '"';
+            i += 2;
           } else {
-            ingestExports(exportsById, entry, visited);
-          }
-          return;
-        }
-        if(typeof entry !== 'object') return;
-        const id = EXPORT_ID_KEYS.map(key => entry[key]).find(value => typeof value === 'string' && value.trim());
-        if(id){
-          for(const key of EXPORT_GROUP_KEYS){
-            if(entry[key] && typeof entry[key] === 'object'){
-              recordExports(exportsById, id, entry[key]);
-              return;
-            }
+            value += text[i];
+            i += 1;
           }
-          const fallback = {};
-          Object.entries(entry).forEach(([key, value]) => {
-            if(EXPORT_SKIP_KEYS.has(key)) return;
-            if(Array.isArray(value) && value.length){
-              fallback[key] = value;
-            }
-          });
-          recordExports(exportsById, id, fallback);
-          return;
         }
-        ingestExports(exportsById, entry, visited);
-      });
-      return;
-    }
-    if(typeof container !== 'object') return;
-    const directId = EXPORT_ID_KEYS.map(key => container[key]).find(value => typeof value === 'string' && value.trim());
-    if(directId){
-      for(const key of EXPORT_GROUP_KEYS){
-        if(container[key] && typeof container[key] === 'object'){
-          recordExports(exportsById, directId, container[key]);
-          return;
+        i += 1;
+        const previous = tokens[tokens.length - 2];
+        if(previous && previous.type === 'id' && previous.quoted && tokens[tokens.length - 1].type === '+'){
+          tokens.pop();
+          previous.value += value;
+        } else {
+          tokens.push({ type: 'id', value, quoted: true });
         }
+      } else if(ch === '<'){
+        let depth = 0;
+        const start = i;
+        do {
+          if(text[i] === '<') depth += 1;
+          else if(text[i] === '>') depth -= 1;
+          i += 1;
+        } while(i < text.length && depth > 0);
+        tokens.push({ type: 'id', value: text.substring(start + 1, i - 1) });
+      } else if(ch === '-' && (text[i + 1] === '>' || text[i + 1] === '-')){
+        tokens.push({ type: 'edgeop' });
+        i += 2;
+      } else if('{}[]=;,:+'.includes(ch)){
+        tokens.push({ type: ch });
+        i += 1;
+      } else {
+        DOT_ID_PATTERN.lastIndex = i;
+        const match = DOT_ID_PATTERN.exec(text);
+        if(!match) throw new Error(`Unexpected character '${ch}' in DOT input`);
+        const lower = match[0].toLowerCase();
+        tokens.push(DOT_KEYWORDS.has(lower) ? { type: lower } : { type: 'id', value: match[0] });
+        i = DOT_ID_PATTERN.lastIndex;
       }
-      recordExports(exportsById, directId, container);
-      return;
     }
-    Object.entries(container).forEach(([key, value]) => {
-      if(value == null) return;
-      if(typeof key === 'string' && key.trim() && !EXPORT_SKIP_KEYS.has(key)){
-        if((typeof value === 'object' || Array.isArray(value)) && (key.includes('/') || key.includes('\\') || key.includes('.'))){
-          recordExports(exportsById, key, value);
-          return;
-        }
-      }
-      ingestExports(exportsById, value, visited);
-    });
+    return tokens;
   }
 
-  function preprocessGraph(payload){
-    const rawGraph = payload?.rawGraph || {};
-    const keepRuleConfig = Array.isArray(payload?.keepRuleConfig) ? payload.keepRuleConfig : [];
-    const localKeepRules = Array.isArray(payload?.localKeepRules) ? payload.localKeepRules : [];
-
-    const normalizedEdges = collectGraphEdges(rawGraph);
-    const graph = {
-      nodes: Array.isArray(rawGraph.nodes) ? rawGraph.nodes.map(node => ({ ...node })) : [],
-      edges: normalizedEdges
+  function importDot(text){
+    const tokens = tokenizeDot(text);
+    let pos = 0;
+    const peek = () => tokens[pos] || { type: 'eof' };
+    const next = () => tokens[pos++] || { type: 'eof' };
+    const expect = (type) => {
+      const token = next();
+      if(token.type !== type) throw new Error(`DOT parse error: expected '${type}' but found '${token.value != null ? token.value : token.type}'`);
+      return token;
     };
 
-    const exportsById = new Map();
-    const exportSources = [rawGraph.exports, rawGraph.exportedSymbols];
-    if(rawGraph.symbols && typeof rawGraph.symbols === 'object'){
-      exportSources.push(rawGraph.symbols.exports, rawGraph.symbols);
-    }
-    const visitedExportContainers = createExportVisitTracker();
-    exportSources.forEach(source => ingestExports(exportsById, source, visitedExportContainers));
-
-    const securityById = new Map();
-    const securitySources = [rawGraph.securityFindings];
-    if(rawGraph.security && typeof rawGraph.security === 'object'){
-      securitySources.push(rawGraph.security.findings, rawGraph.security);
-    }
-    securitySources.forEach(source => ingestSecurityFindings(source, securityById));
+    const builder = createImportBuilder('dot');
+    if(peek().type === 'strict') next();
+    const graphToken = next();
+    if(graphToken.type !== 'graph' && graphToken.type !== 'digraph') throw new Error('DOT parse error: expected graph or digraph');
+    const graphName = peek().type === 'id' ? next().value : null;
 
-    const NODE_EXPORT_ID_KEYS = [
-      'id',
-      'absPath',
-      'path',
-      'file',
-      'module',
-      'source',
-      'resolvedPath',
-      'realPath',
-      'canonicalPath',
-      'uri'
-    ];
-    const collectCandidateIds = (from, target)=>{
-      if(!from) return;
-      if(typeof from === 'string'){ target.add(from); return; }
-      if(Array.isArray(from)){ from.forEach(value => collectCandidateIds(value, target)); }
-      if(typeof from === 'object'){
-        NODE_EXPORT_ID_KEYS.forEach(key => {
-          if(Object.prototype.hasOwnProperty.call(from, key)){
-            collectCandidateIds(from[key], target);
+    function parseAttrList(){
+      const attrs = {};
+      while(peek().type === '['){
+        next();
+        while(peek().type !== ']'){
+          const key = expect('id').value;
+          let value = 'true';
+          if(peek().type === '='){
+            next();
+            value = expect('id').value;
           }
-        });
+          attrs[key] = value;
+          if(peek().type === ',' || peek().type === ';') next();
+        }
+        expect(']');
       }
-    };
+      return attrs;
+    }
 
-    graph.nodes.forEach(node => {
-      if(!node || (typeof node !== 'object')) return;
-      const direct = normalizeExportGroups(node.exports);
-      let collected = null;
-      const candidates = new Set();
-      NODE_EXPORT_ID_KEYS.forEach(key => collectCandidateIds(node[key], candidates));
-      if(node.meta && typeof node.meta === 'object'){
-        NODE_EXPORT_ID_KEYS.forEach(key => collectCandidateIds(node.meta[key], candidates));
-      }
-      if(candidates.size === 0 && typeof node.id === 'string'){
-        candidates.add(node.id);
+    function parseNodeRef(){
+      const id = expect('id').value;
+      if(peek().type === ':'){
+        next();
+        expect('id');
+        if(peek().type === ':'){
+          next();
+          expect('id');
+        }
       }
+      return id;
+    }
 
-      const candidateList = Array.from(candidates).filter(value => typeof value === 'string');
+    function parseOperand(scope){
+      if(peek().type === 'subgraph' || peek().type === '{') return parseSubgraph(scope);
+      return [parseNodeRef()];
+    }
 
-      for(const candidate of candidateList){
-        if(typeof candidate !== 'string') continue;
-        const canonical = canonicalExportId(candidate);
-        if(canonical && exportsById.has(canonical)){
-          collected = exportsById.get(canonical);
-          break;
-        }
+    function parseSubgraph(scope){
+      if(peek().type === 'subgraph'){
+        next();
+        if(peek().type === 'id') next();
       }
+      expect('{');
+      const members = parseStatements({ node: { ...scope.node }, edge: { ...scope.edge } });
+      expect('}');
+      return members;
+    }
 
-      if(!collected){
-        for(const candidate of candidateList){
-          if(typeof candidate !== 'string') continue;
-          const trimmed = candidate.trim();
-          if(!trimmed) continue;
-          if(exportsById.has(trimmed)){
-            collected = exportsById.get(trimmed);
-            break;
-          }
+    function parseStatements(scope){
+      const members = new Set();
+      while(peek().type !== '}' && peek().type !== 'eof'){
+        const token = peek();
+        if(token.type === ';'){
+          next();
+          continue;
+        }
+        if(token.type === 'graph' || token.type === 'node' || token.type === 'edge'){
+          next();
+          const attrs = parseAttrList();
+          if(token.type !== 'graph') Object.assign(scope[token.type], attrs);
+          continue;
+        }
+        if(token.type === 'id' && tokens[pos + 1] && tokens[pos + 1].type === '='){
+          pos += 3;
+          continue;
+        }
+        const chain = [parseOperand(scope)];
+        while(peek().type === 'edgeop'){
+          next();
+          chain.push(parseOperand(scope));
+        }
+        const attrs = parseAttrList();
+        chain.forEach(group => group.forEach(id => members.add(id)));
+        if(chain.length === 1){
+          chain[0].forEach(id => builder.node(id, { ...scope.node, ...attrs }));
+          continue;
+        }
+        chain.forEach(group => group.forEach(id => builder.node(id, Object.keys(scope.node).length ? { ...scope.node } : undefined)));
+        for(let i = 1; i < chain.length; i += 1){
+          chain[i - 1].forEach(source => chain[i].forEach(target => builder.edge(source, target, { ...scope.edge, ...attrs })));
         }
       }
+      return Array.from(members);
+    }
 
-      const merged = mergeExportGroupMaps(direct, collected);
-      if(merged){
-        node.exports = merged;
-      } else if(node.exports){
-        delete node.exports;
+    expect('{');
+    parseStatements({ node: {}, edge: {} });
+    expect('}');
+    return builder.build(graphName ? { name: graphName } : {});
+  }
+
+  const XML_TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  const XML_ATTR_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+  function decodeXmlEntities(value){
+    return value.replace(/&(#x[0-9a-fA-F]+|#\d+|[A-Za-z]+);/g, (match, entity) => {
+      if(entity[0] === '#'){
+        const code = entity[1] === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : match;
       }
+      return Object.prototype.hasOwnProperty.call(XML_ENTITIES, entity) ? XML_ENTITIES[entity] : match;
+    });
+  }
 
-      const directSecurity = collectNodeSecurityFindings(node);
-      let referencedSecurity = null;
-      if(securityById.size){
-        for(const candidate of candidateList){
-          const canonical = canonicalExportId(candidate);
-          if(canonical && securityById.has(canonical)){
-            referencedSecurity = securityById.get(canonical);
-            break;
-          }
+  function parseXml(text){
+    const root = { name: '#document', attrs: {}, children: [], text: '' };
+    const stack = [root];
+    XML_TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while((match = XML_TOKEN_PATTERN.exec(text))){
+      const current = stack[stack.length - 1];
+      if(match[1] != null){
+        current.text += match[1];
+      } else if(match[6] != null){
+        current.text += decodeXmlEntities(match[6]);
+      } else if(match[3]){
+        const name = match[3].replace(/^.*:/, '');
+        if(match[2]){
+          if(stack.length > 1 && current.name === name) stack.pop();
+          continue;
         }
-        if(!referencedSecurity){
-          for(const candidate of candidateList){
-            const trimmed = typeof candidate === 'string' ? candidate.trim() : '';
-            if(!trimmed) continue;
-            if(securityById.has(trimmed)){
-              referencedSecurity = securityById.get(trimmed);
-              break;
-            }
-          }
+        const attrs = {};
+        XML_ATTR_PATTERN.lastIndex = 0;
+        let attr;
+        while((attr = XML_ATTR_PATTERN.exec(match[4] || ''))){
+          attrs[attr[1]] = decodeXmlEntities(attr[2] != null ? attr[2] : attr[3]);
         }
+        const element = { name, attrs, children: [], text: '' };
+        current.children.push(element);
+        if(!match[5]) stack.push(element);
       }
+    }
+    return root;
+  }
 
-      const mergedSecurity = mergeSecurityFindingLists(directSecurity, referencedSecurity);
-      if(mergedSecurity.length){
-        node.securityFindings = mergedSecurity;
-      } else if(node.securityFindings){
-        delete node.securityFindings;
+  function xmlDescendants(element, name, out = []){
+    element.children.forEach(child => {
+      if(child.name === name) out.push(child);
+      xmlDescendants(child, name, out);
+    });
+    return out;
+  }
+
+  function importGraphMl(text){
+    const doc = parseXml(text);
+    const graphml = xmlDescendants(doc, 'graphml')[0];
+    if(!graphml) throw new Error('GraphML parse error: missing <graphml> root element');
+    const keys = new Map();
+    graphml.children.filter(child => child.name === 'key').forEach(key => {
+      const def = key.children.find(child => child.name === 'default');
+      keys.set(key.attrs.id, {
+        name: key.attrs['attr.name'] || key.attrs.id,
+        type: key.attrs['attr.type'] || 'string',
+        domain: key.attrs.for || 'all',
+        fallback: def ? def.text.trim() : null
+      });
+    });
+    const typed = (key, raw) => {
+      if(key.type === 'boolean') return raw.trim().toLowerCase() === 'true';
+      if(['int', 'long', 'float', 'double'].includes(key.type)){
+        const value = Number(raw.trim());
+        return Number.isFinite(value) ? value : raw;
       }
+      return raw;
+    };
+    const readData = (element, domain) => {
+      const data = {};
+      keys.forEach(key => {
+        if(key.fallback != null && (key.domain === domain || key.domain === 'all')) data[key.name] = typed(key, key.fallback);
+      });
+      element.children.filter(child => child.name === 'data').forEach(child => {
+        const key = keys.get(child.attrs.key) || { name: child.attrs.key, type: 'string' };
+        if(!child.text.trim() && child.children.length) return;
+        data[key.name] = typed(key, child.text);
+      });
+      delete data.id;
+      return data;
+    };
+
+    const builder = createImportBuilder('graphml');
+    xmlDescendants(graphml, 'node').forEach(node => {
+      if(node.attrs.id) builder.node(node.attrs.id, readData(node, 'node'));
+    });
+    xmlDescendants(graphml, 'edge').forEach(edge => {
+      const data = readData(edge, 'edge');
+      builder.edge(edge.attrs.source, edge.attrs.target, data);
     });
+    return builder.build();
+  }
 
-    computeDegrees(graph);
-    inferUsageStates(graph);
-    const entrypoints = normalizeEntrypoints(rawGraph, graph);
-    const profiles = normalizeProfiles(rawGraph);
-    const compiledKeepRules = compileKeepRules(keepRuleConfig, localKeepRules);
-    const profileResults = classifyGraph(graph, profiles, entrypoints, { compiledKeepRules });
-    const securitySummary = summarizeSecurityFindings(graph.nodes);
+  const GRAPH_IMPORTERS = {
+    madge: importMadge,
+    'dependency-cruiser': importDependencyCruiser,
+    webpack: importWebpackStats
+  };
+
+  function importGraph(input, options = {}){
+    const progress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+    let format = detectGraphFormat(input, options.name);
+    let data = input;
+    if(format === 'json'){
+      data = JSON.parse(input);
+      if(!data || typeof data !== 'object'){
+        throw new Error('Graph payload missing or invalid');
+      }
+      format = detectGraphFormat(data);
+    }
+    if(format === 'graph') return { format, rawGraph: data };
+    progress({ phase: 'import', format });
+    const importer = format === 'dot' ? importDot : format === 'graphml' ? importGraphMl : GRAPH_IMPORTERS[format];
+    return { format, rawGraph: importer(data) };
+  }
+
+  // --- Coverage importers -------------------------------------------------
+  // Istanbul coverage-final.json, raw V8 coverage (NODE_V8_COVERAGE output)
+  // and lcov.info reduce to one entry per file: `hits` is the highest
+  // execution count recorded for any statement, line or block, `lines` the
+  // covered/total line counts when the format has them, and `pct` the line
+  // coverage (byte coverage for V8, which carries no line table).
+
+  function detectCoverageFormat(input, name){
+    if(typeof input === 'string'){
+      if(/\.(?:info|lcov)$/i.test(name || '') || /^(?:TN|SF):/m.test(input.slice(0, 4096))) return 'lcov';
+      return 'json';
+    }
+    if(!input || typeof input !== 'object') return null;
+    if(Array.isArray(input.result) && input.result.some(script => script && typeof script.url === 'string' && Array.isArray(script.functions))){
+      return 'v8';
+    }
+    const values = Object.values(input);
+    if(values.length && values.every(entry => entry && typeof entry === 'object' && (entry.statementMap || (entry.data && entry.data.statementMap)))){
+      return 'istanbul';
+    }
+    return null;
+  }
+
+  // Runtime tools report file or http URLs; file URLs become plain paths and
+  // http URLs keep their pathname (relative) so they match node ids the same
+  // way crawler paths do.
+  function runtimePath(value){
+    if(typeof value !== 'string' || !value) return null;
+    let path = value;
+    if(/^file:\/\//i.test(path)){
+      path = path.replace(/^file:\/\//i, '');
+      try { path = decodeURIComponent(path); } catch {}
+      if(/^\/[A-Za-z]:\//.test(path)) path = path.slice(1);
+    } else if(/^https?:\/\//i.test(path)){
+      path = path.replace(/^https?:\/\/[^/]*/i, '').replace(/[?#].*$/, '').replace(/^\/+/, '');
+      try { path = decodeURIComponent(path); } catch {}
+    }
+    return canonicalExportId(path);
+  }
+
+  // Exact canonical path first, then a unique path-suffix match for relative
+  // paths, then the package node for files under node_modules.
+  function createNodePathMatcher(nodes){
+    const byCanonical = new Map();
+    const byBasename = new Map();
+    const byId = new Map();
+    nodes.forEach(node => {
+      if(!node || node.id == null) return;
+      byId.set(String(node.id), node);
+      const canonical = canonicalExportId(String(node.absPath || node.id));
+      if(!canonical) return;
+      byCanonical.set(canonical, node);
+      const base = canonical.split('/').pop();
+      if(!byBasename.has(base)) byBasename.set(base, []);
+      byBasename.get(base).push({ canonical, node });
+    });
+    return (path) => {
+      if(!path) return null;
+      if(byCanonical.has(path)) return byCanonical.get(path);
+      const relative = path.replace(/^\.?\//, '');
+      const candidates = (byBasename.get(relative.split('/').pop()) || [])
+        .filter(({ canonical }) => canonical.endsWith(`/${relative}`) || relative.endsWith(`/${canonical}`));
+      if(candidates.length === 1) return candidates[0].node;
+      const pkg = /(?:^|\/)node_modules\/((?:@[^/]+\/)?[^/]+)(\/.*)?$/.exec(path);
+      if(!pkg) return null;
+      // Longest module specifier first: `pkg/sub/file` before `pkg/sub` and `pkg`.
+      const parts = (pkg[2] || '').replace(/\.[cm]?[jt]sx?$/, '').split('/').filter(Boolean);
+      for(let count = parts.length; count >= 0; count -= 1){
+        const specifier = [pkg[1], ...parts.slice(0, count)].join('/');
+        if(byId.has(specifier)) return byId.get(specifier);
+      }
+      return null;
+    };
+  }
 
+  function coverageEntry(path, hits, lines, bytes){
+    const total = lines ? lines.total : (bytes ? bytes.total : 0);
+    const covered = lines ? lines.covered : (bytes ? bytes.covered : 0);
     return {
-      graph,
-      entrypoints,
-      profiles,
-      compiledKeepRules: toSerializableRegexList(compiledKeepRules),
-      profileResults: profileResults.map(res => ({
-        profile: res.profile,
-        reachableAll: Array.from(res.reachableAll),
-        reachableNoDeferred: Array.from(res.reachableNoDeferred),
-        reachableNoDynamic: Array.from(res.reachableNoDynamic),
-        reachableRuntime: Array.from(res.reachableRuntime),
-        reachableTest: Array.from(res.reachableTest),
-        reachableBuild: Array.from(res.reachableBuild)
-      })),
-      summary: {
-        security: securitySummary
+      path,
+      hits,
+      lines: lines || null,
+      pct: total > 0 ? Math.round((covered / total) * 1000) / 10 : (hits > 0 ? 100 : 0)
+    };
+  }
+
+  function importIstanbulCoverage(data){
+    const files = [];
+    Object.entries(data).forEach(([key, raw]) => {
+      const entry = raw && raw.data && raw.data.statementMap ? raw.data : raw;
+      const path = runtimePath(entry.path || key);
+      if(!path) return;
+      const lineHits = new Map();
+      let hits = 0;
+      Object.entries(entry.statementMap || {}).forEach(([id, loc]) => {
+        const line = loc && loc.start ? loc.start.line : null;
+        const count = Number(entry.s && entry.s[id]) || 0;
+        if(count > hits) hits = count;
+        if(line == null) return;
+        lineHits.set(line, Math.max(lineHits.get(line) || 0, count));
+      });
+      Object.values(entry.f || {}).forEach(count => {
+        if(Number(count) > hits) hits = Number(count);
+      });
+      const covered = Array.from(lineHits.values()).filter(count => count > 0).length;
+      files.push(coverageEntry(path, hits, { covered, total: lineHits.size }));
+    });
+    return files;
+  }
+
+  // Block ranges nest, so the innermost range decides each byte's count.
+  function v8ByteCoverage(functions){
+    const ranges = [];
+    functions.forEach(fn => (fn && Array.isArray(fn.ranges) ? fn.ranges : []).forEach(range => {
+      if(range && Number.isFinite(range.startOffset) && Number.isFinite(range.endOffset)) ranges.push(range);
+    }));
+    ranges.sort((a, b) => a.startOffset - b.startOffset || b.endOffset - a.endOffset);
+    const stack = [];
+    let pos = ranges.length ? ranges[0].startOffset : 0;
+    let covered = 0;
+    let total = 0;
+    const advance = (until) => {
+      if(stack.length && until > pos){
+        total += until - pos;
+        if(stack[stack.length - 1].count > 0) covered += until - pos;
       }
+      pos = Math.max(pos, until);
     };
+    ranges.forEach(range => {
+      while(stack.length && stack[stack.length - 1].endOffset <= range.startOffset){
+        advance(stack[stack.length - 1].endOffset);
+        stack.pop();
+      }
+      advance(range.startOffset);
+      stack.push(range);
+    });
+    while(stack.length){
+      advance(stack[stack.length - 1].endOffset);
+      stack.pop();
+    }
+    return { covered, total };
   }
 
-  function collectGraphEdges(root){
-    const normalized = [];
-    const seen = new Set();
-    const visited = new Set();
+  function importV8Coverage(data){
+    const files = [];
+    data.result.forEach(script => {
+      if(!script || typeof script.url !== 'string' || !/^(?:file:|\/|[A-Za-z]:[\\/])/.test(script.url)) return;
+      const path = runtimePath(script.url);
+      if(!path || /(^|\/)node_modules\//.test(path)) return;
+      const functions = Array.isArray(script.functions) ? script.functions : [];
+      let hits = 0;
+      functions.forEach(fn => (fn && Array.isArray(fn.ranges) ? fn.ranges : []).forEach(range => {
+        if(range && range.count > hits) hits = range.count;
+      }));
+      files.push(coverageEntry(path, hits, null, v8ByteCoverage(functions)));
+    });
+    return files;
+  }
 
-    function normalizeEdge(edge){
-      if(!edge || typeof edge !== 'object') return;
-      const rawSource = EDGE_SOURCE_KEYS.map(key => edge[key]).find(value => value !== undefined);
-      const rawTarget = EDGE_TARGET_KEYS.map(key => edge[key]).find(value => value !== undefined);
-      const srcId = extractNodeId(rawSource);
-      const tgtId = extractNodeId(rawTarget);
-      if(!srcId || !tgtId) return;
-      const normalizedEdge = { ...edge, source: srcId, target: tgtId };
-      const kind = typeof normalizedEdge.kind === 'string' ? normalizedEdge.kind : (typeof normalizedEdge.type === 'string' ? normalizedEdge.type : '');
-      const key = `${srcId}=>${tgtId}:${kind || ''}`;
-      if(seen.has(key)) return;
-      seen.add(key);
-      normalized.push(normalizedEdge);
+  function importLcovCoverage(text){
+    const files = [];
+    let current = null;
+    const finish = () => {
+      if(!current) return;
+      const path = runtimePath(current.path);
+      if(path){
+        const total = current.lineHits.size || current.found;
+        const covered = current.lineHits.size
+          ? Array.from(current.lineHits.values()).filter(count => count > 0).length
+          : current.hit;
+        files.push(coverageEntry(path, current.hits, { covered, total }));
+      }
+      current = null;
+    };
+    text.split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.trim();
+      const colon = line.indexOf(':');
+      const tag = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1);
+      if(tag === 'SF'){
+        finish();
+        current = { path: value, hits: 0, lineHits: new Map(), found: 0, hit: 0 };
+      } else if(tag === 'end_of_record'){
+        finish();
+      } else if(current && (tag === 'DA' || tag === 'FNDA')){
+        const parts = value.split(',');
+        const count = Number(tag === 'DA' ? parts[1] : parts[0]) || 0;
+        if(count > current.hits) current.hits = count;
+        if(tag === 'DA'){
+          const lineNo = Number(parts[0]);
+          current.lineHits.set(lineNo, Math.max(current.lineHits.get(lineNo) || 0, count));
+        }
+      } else if(current && tag === 'LF'){
+        current.found = Number(value) || 0;
+      } else if(current && tag === 'LH'){
+        current.hit = Number(value) || 0;
+      }
+    });
+    finish();
+    return files;
+  }
+
+  function importCoverage(input, options = {}){
+    let data = input;
+    let format = detectCoverageFormat(input, options.name);
+    if(format === 'json'){
+      data = JSON.parse(input);
+      format = detectCoverageFormat(data);
     }
+    if(!format) throw new Error('Unrecognized coverage format: expected Istanbul JSON, V8 coverage or lcov');
+    const files = format === 'lcov' ? importLcovCoverage(data)
+      : format === 'v8' ? importV8Coverage(data)
+        : importIstanbulCoverage(data);
+    return { format, name: options.name || '', files };
+  }
 
-    function ingestEdgeContainer(container){
-      if(container == null) return;
-      if(Array.isArray(container)){
-        container.forEach(item => {
-          if(item && typeof item === 'object'){
-            normalizeEdge(item);
-          }
-        });
+  function resolveCoverageReport(entry){
+    if(entry && Array.isArray(entry.files)) return entry;
+    if(!entry || typeof entry !== 'object') throw new Error('Coverage payload missing or invalid');
+    return importCoverage(entry.data != null ? entry.data : entry.text, { name: entry.name });
+  }
+
+  const COVERAGE_NODE_KEYS = ['coverageHits', 'coverageLines', 'coveragePct', 'coverageFormat'];
+
+  function clearCoverage(nodes){
+    nodes.forEach(node => {
+      if(!node || !('coverageFormat' in node)) return;
+      COVERAGE_NODE_KEYS.forEach(key => { delete node[key]; });
+    });
+  }
+
+  // Files are matched like trace entries (see createNodePathMatcher). Project
+  // files a report never mentions count as not executed.
+  function applyCoverage(nodes, reports){
+    clearCoverage(nodes);
+    const byPath = new Map();
+    reports.forEach(report => (report.files || []).forEach(file => {
+      const existing = byPath.get(file.path);
+      if(!existing){
+        byPath.set(file.path, { ...file, format: report.format });
         return;
       }
-      if(typeof container === 'object'){
-        const list = Array.isArray(container.list) ? container.list : Array.isArray(container.items) ? container.items : null;
-        if(list){
-          ingestEdgeContainer(list);
-        }
+      existing.hits = Math.max(existing.hits, file.hits);
+      if(file.pct > existing.pct){
+        existing.pct = file.pct;
+        existing.lines = file.lines;
+      }
+      if(!existing.format.split(',').includes(report.format)) existing.format += `,${report.format}`;
+    }));
+
+    const tracked = nodes.filter(node => node && node.id != null && node.type !== 'external');
+    const matchFile = createNodePathMatcher(tracked);
+
+    const unmatched = [];
+    const covered = new Map();
+    byPath.forEach(file => {
+      const node = matchFile(file.path);
+      if(!node){
+        unmatched.push(file.path);
+        return;
       }
+      covered.set(node, file);
+    });
+    let executed = 0;
+    tracked.forEach(node => {
+      const file = covered.get(node);
+      node.coverageHits = file ? file.hits : 0;
+      node.coverageLines = file ? file.lines : null;
+      node.coveragePct = file ? file.pct : 0;
+      node.coverageFormat = file ? file.format : null;
+      if(node.coverageHits > 0) executed += 1;
+    });
+    return {
+      reports: reports.map(report => ({ format: report.format, name: report.name || '', files: (report.files || []).length })),
+      files: byPath.size,
+      matched: covered.size,
+      unmatched: unmatched.length,
+      unmatchedPaths: unmatched.sort().slice(0, 20),
+      tracked: tracked.length,
+      executed
+    };
+  }
+
+  // Static reachability versus runtime evidence for one profile.
+  function compareCoverageWithReachability(nodes, profileName){
+    const result = { reachableNotExecuted: [], executedNotReachable: [], executedReachable: 0 };
+    (nodes || []).forEach(node => {
+      if(!node || typeof node.coverageHits !== 'number' || !('coverageFormat' in node)) return;
+      const statuses = (node.statusByProfile && node.statusByProfile[profileName]) || [];
+      const reachable = statuses.includes('reachable_current');
+      if(reachable && node.coverageHits > 0) result.executedReachable += 1;
+      else if(reachable) result.reachableNotExecuted.push(node.id);
+      else if(node.coverageHits > 0) result.executedNotReachable.push(node.id);
+    });
+    return result;
+  }
+
+  // --- Runtime load traces -------------------------------------------------
+  // Parent→child module loads captured at runtime: newline-delimited JSON from
+  // a require/ESM loader hook, a DevTools HAR export (script requests and
+  // their initiators) or raw `Network.requestWillBeSent` protocol events.
+  // Loads are aggregated to `{ parent, child, kind, count }`.
+
+  const TRACE_PARENT_KEYS = ['parent', 'from', 'importer', 'parentURL', 'parentUrl', 'parentPath', 'referrer', 'source'];
+  const TRACE_CHILD_KEYS = ['child', 'to', 'resolved', 'url', 'filename', 'file', 'path', 'module', 'target', 'id'];
+
+  function parseTraceRecords(text){
+    const records = [];
+    text.split(/\r?\n/).forEach((line, idx) => {
+      const trimmed = line.trim();
+      if(!trimmed) return;
+      try {
+        records.push(JSON.parse(trimmed));
+      } catch (err) {
+        throw new Error(`Trace parse error on line ${idx + 1}: ${err.message}`);
+      }
+    });
+    return records;
+  }
+
+  function detectLoadTraceFormat(input){
+    if(input && typeof input === 'object' && !Array.isArray(input)){
+      if(input.log && Array.isArray(input.log.entries)) return 'har';
+      return Array.isArray(input.loads) || Array.isArray(input.events) ? 'ndjson' : null;
+    }
+    if(!Array.isArray(input)) return null;
+    if(input.some(event => event && event.method === 'Network.requestWillBeSent')) return 'cdp';
+    return 'ndjson';
+  }
+
+  function initiatorUrl(initiator){
+    if(!initiator || typeof initiator !== 'object') return null;
+    if(typeof initiator.url === 'string' && initiator.url) return initiator.url;
+    for(let stack = initiator.stack; stack; stack = stack.parent){
+      const frame = (stack.callFrames || []).find(item => item && item.url);
+      if(frame) return frame.url;
     }
+    return null;
+  }
 
-    function looksLikeEdgeObject(obj){
-      if(!obj || typeof obj !== 'object') return false;
-      return EDGE_SOURCE_KEYS.some(key => Object.prototype.hasOwnProperty.call(obj, key)) || EDGE_TARGET_KEYS.some(key => Object.prototype.hasOwnProperty.call(obj, key));
+  function importLoadTrace(input, options = {}){
+    let data = input;
+    if(typeof input === 'string'){
+      try {
+        data = JSON.parse(input);
+      } catch {
+        data = parseTraceRecords(input);
+      }
+      // A one-line NDJSON log parses as a single record.
+      if(data && typeof data === 'object' && !Array.isArray(data) && !detectLoadTraceFormat(data)) data = [data];
     }
+    const format = detectLoadTraceFormat(data);
+    if(!format) throw new Error('Unrecognized load trace: expected NDJSON load records, a HAR export or DevTools protocol events');
+    const loads = new Map();
+    const record = (parent, child, kind) => {
+      if(typeof parent !== 'string' || typeof child !== 'string' || !parent || !child || parent === child) return;
+      const key = `${parent}\u0000${child}\u0000${kind}`;
+      const existing = loads.get(key);
+      if(existing) existing.count += 1;
+      else loads.set(key, { parent, child, kind, count: 1 });
+    };
+    if(format === 'har'){
+      data.log.entries.forEach(entry => {
+        if(!entry || !entry.request) return;
+        if(entry._resourceType && entry._resourceType !== 'script') return;
+        record(initiatorUrl(entry._initiator), entry.request.url, 'load');
+      });
+    } else if(format === 'cdp'){
+      data.forEach(event => {
+        if(!event || event.method !== 'Network.requestWillBeSent' || !event.params || !event.params.request) return;
+        if(event.params.type && event.params.type !== 'Script') return;
+        record(initiatorUrl(event.params.initiator), event.params.request.url, 'load');
+      });
+    } else {
+      const records = Array.isArray(data) ? data : (data.loads || data.events);
+      records.forEach(item => {
+        if(!item || typeof item !== 'object') return;
+        const parent = TRACE_PARENT_KEYS.map(key => item[key]).find(value => typeof value === 'string' && value);
+        const child = TRACE_CHILD_KEYS.map(key => item[key]).find(value => typeof value === 'string' && value && value !== parent);
+        const kind = [item.kind, item.type, item.loader].find(value => typeof value === 'string' && value) || 'load';
+        record(parent, child, kind);
+      });
+    }
+    return { format, name: options.name || '', loads: Array.from(loads.values()) };
+  }
 
-    function traverse(value){
-      if(value == null || typeof value !== 'object') return;
-      if(visited.has(value)) return;
-      visited.add(value);
+  function resolveLoadTrace(entry){
+    if(entry && Array.isArray(entry.loads) && typeof entry.format === 'string') return entry;
+    if(!entry || typeof entry !== 'object') throw new Error('Load trace payload missing or invalid');
+    return importLoadTrace(entry.data != null ? entry.data : entry.text, { name: entry.name });
+  }
 
-      if(Array.isArray(value)){
-        if(value.some(looksLikeEdgeObject)){
-          ingestEdgeContainer(value);
-          return;
-        }
-        value.forEach(traverse);
+  // Loads between two graph nodes confirm the static edge when one exists
+  // and become `certainty: 'observed'` edges otherwise. Previously traced
+  // edges are dropped first so re-applying is idempotent.
+  function applyLoadTraces(graph, traces){
+    graph.edges = graph.edges.filter(edge => !edge.traced);
+    graph.edges.forEach(edge => { delete edge.tracedCount; });
+    if(!traces.length) return null;
+    const match = createNodePathMatcher(graph.nodes);
+    const staticByPair = new Map();
+    graph.edges.forEach(edge => {
+      const key = `${nodeId(edge.source)}\u0000${nodeId(edge.target)}`;
+      if(!staticByPair.has(key)) staticByPair.set(key, []);
+      staticByPair.get(key).push(edge);
+    });
+    const observedByKey = new Map();
+    const unmatched = new Set();
+    let loads = 0;
+    let matched = 0;
+    traces.forEach(trace => (trace.loads || []).forEach(load => {
+      loads += load.count;
+      const src = match(runtimePath(load.parent));
+      const tgt = match(runtimePath(load.child));
+      if(!src || !tgt){
+        unmatched.add(src ? load.child : load.parent);
+        return;
+      }
+      if(src === tgt) return;
+      matched += load.count;
+      const pair = `${src.id}\u0000${tgt.id}`;
+      const existing = staticByPair.get(pair);
+      if(existing){
+        existing.forEach(edge => { edge.tracedCount = (edge.tracedCount || 0) + load.count; });
+        return;
+      }
+      const key = `${pair}\u0000${load.kind}`;
+      if(observedByKey.has(key)){
+        observedByKey.get(key).tracedCount += load.count;
         return;
       }
+      observedByKey.set(key, { source: src.id, target: tgt.id, kind: load.kind, certainty: 'observed', traced: true, tracedCount: load.count });
+    }));
+    observedByKey.forEach(edge => graph.edges.push(edge));
+    return {
+      traces: traces.map(trace => ({ format: trace.format, name: trace.name || '', loads: (trace.loads || []).length })),
+      loads,
+      matched,
+      confirmedEdges: graph.edges.filter(edge => !edge.traced && edge.tracedCount > 0).length,
+      observedEdges: observedByKey.size,
+      unmatched: unmatched.size,
+      unmatchedPaths: Array.from(unmatched).sort().slice(0, 20)
+    };
+  }
 
-      for(const [key, child] of Object.entries(value)){
-        if(EDGE_CONTAINER_KEYS.has(key)){
-          ingestEdgeContainer(child);
-          continue;
-        }
-        traverse(child);
+  // --- Snapshot history --------------------------------------------------
+  // A timeline is an ordered series of crawl outputs. A manifest lists them
+  // in order (`{ "snapshots": [{ "file", "label", "date" }] }` or a bare array
+  // of file names); loose files are ordered by the date or sequence number in
+  // their names.
+
+  const SNAPSHOT_FILE_KEYS = ['file', 'path', 'url', 'src', 'graph'];
+  const SNAPSHOT_DATE_RE = /(\d{4})-?(\d{2})-?(\d{2})(?:[T_ ]?(\d{2})[:\-.]?(\d{2})(?:[:\-.]?(\d{2}))?)?/;
+
+  function snapshotDateFromName(name){
+    const match = SNAPSHOT_DATE_RE.exec(String(name || '').split('/').pop());
+    if(!match) return null;
+    const [, y, mo, d, h, mi, sec] = match;
+    if(Number(mo) < 1 || Number(mo) > 12 || Number(d) < 1 || Number(d) > 31) return null;
+    return h != null ? `${y}-${mo}-${d}T${h}:${mi}:${sec || '00'}` : `${y}-${mo}-${d}`;
+  }
+
+  function snapshotLabel(file){
+    const base = String(file).replace(/\\/g, '/').split('/').pop();
+    return base.replace(/\.(json|dot|gv|graphml|xml)$/i, '') || base;
+  }
+
+  // Returns `[{ file, label, date }]`, or null when the input is not a
+  // manifest (a graph file, say).
+  function parseSnapshotManifest(input){
+    let data = input;
+    if(typeof input === 'string'){
+      try {
+        data = JSON.parse(input);
+      } catch {
+        return null;
       }
     }
+    const list = Array.isArray(data) ? data : (data && typeof data === 'object' ? (data.snapshots || data.history) : null);
+    if(!Array.isArray(list) || !list.length) return null;
+    const entries = [];
+    for(const item of list){
+      const entry = typeof item === 'string' ? { file: item } : item;
+      if(!entry || typeof entry !== 'object') return null;
+      const file = SNAPSHOT_FILE_KEYS.map(key => entry[key]).find(value => typeof value === 'string' && value);
+      if(!file) return null;
+      const date = [entry.date, entry.timestamp, entry.time].find(value => typeof value === 'string' && value) || snapshotDateFromName(file);
+      entries.push({ file, label: typeof entry.label === 'string' && entry.label ? entry.label : (date || snapshotLabel(file)), date: date || null });
+    }
+    return entries;
+  }
 
-    traverse(root);
-    return normalized;
+  function orderSnapshots(names){
+    return names
+      .map(file => {
+        const date = snapshotDateFromName(file);
+        return { file, label: date || snapshotLabel(file), date };
+      })
+      .sort((a, b) => {
+        if(a.date && b.date && a.date !== b.date) return a.date < b.date ? -1 : 1;
+        return a.file.localeCompare(b.file, undefined, { numeric: true });
+      });
+  }
+
+  // Per-snapshot numbers for the timeline charts; `result` is what
+  // preprocessGraph returns.
+  function summarizeSnapshot(result){
+    const nodes = result && result.graph ? result.graph.nodes : [];
+    const summary = (result && result.summary) || {};
+    const disconnected = nodes.filter(node => Object.values(node.statusByProfile || {})
+      .some(statuses => statuses.includes('disconnected_all_profiles'))).length;
+    return {
+      nodes: nodes.length,
+      edges: result && result.graph ? result.graph.edges.length : 0,
+      disconnected,
+      cycles: summary.cycles ? summary.cycles.count : 0,
+      findings: summary.security ? summary.security.totalFindings : 0
+    };
+  }
+
+  // --- View exporters ----------------------------------------------------
+  // Writes a node/edge slice as Graphviz DOT, GraphML or a Mermaid flowchart.
+  // Colors arrive as CSS strings from the viewer and are normalized to hex
+  // because neither DOT nor Mermaid understands hsl().
+
+  function cssColorToHex(value){
+    if(typeof value !== 'string') return null;
+    const color = value.trim();
+    const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color);
+    if(short) return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`.toLowerCase();
+    if(/^#[0-9a-f]{6}$/i.test(color)) return color.toLowerCase();
+    const hsl = /^hsla?\(\s*(-?[\d.]+)(?:deg)?[\s,]+([\d.]+)%[\s,]+([\d.]+)%/i.exec(color);
+    if(!hsl) return null;
+    const h = ((Number(hsl[1]) % 360) + 360) % 360;
+    const s = Math.min(100, Number(hsl[2])) / 100;
+    const l = Math.min(100, Number(hsl[3])) / 100;
+    const a = s * Math.min(l, 1 - l);
+    const channel = (n) => {
+      const k = (n + h / 30) % 12;
+      const v = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+      return Math.round(v * 255).toString(16).padStart(2, '0');
+    };
+    return `#${channel(0)}${channel(8)}${channel(4)}`;
+  }
+
+  function contrastingTextColor(hex){
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.substr(i, 2), 16));
+    return (0.299 * r + 0.587 * g + 0.114 * b) > 150 ? '#111111' : '#ffffff';
+  }
+
+  function edgeKindOf(edge){
+    if(typeof edge.kind === 'string' && edge.kind) return edge.kind;
+    if(typeof edge.type === 'string' && edge.type) return edge.type;
+    if(isDynamicEdge(edge)) return 'dynamic';
+    if(isDeferredEdge(edge)) return 'deferred';
+    return 'import';
+  }
+
+  function describeExportView(view, options){
+    const nodes = (Array.isArray(view && view.nodes) ? view.nodes : []).filter(node => node && node.id != null);
+    const ids = new Set(nodes.map(node => String(node.id)));
+    const prefix = commonDirectoryPrefix(Array.from(ids));
+    const profile = options.profile || 'default';
+    const colorFor = typeof options.colorFor === 'function' ? options.colorFor : () => null;
+    const labelFor = typeof options.labelFor === 'function'
+      ? options.labelFor
+      : (node) => (prefix && String(node.id).startsWith(`${prefix}/`) ? String(node.id).substring(prefix.length + 1) : String(node.id));
+    const described = nodes.map(node => {
+      const loc = Number(node.sizeLOC);
+      return {
+        id: String(node.id),
+        label: String(labelFor(node) || node.id),
+        status: (node.primaryByProfile && node.primaryByProfile[profile]) || 'disconnected_all_profiles',
+        sizeLOC: Number.isFinite(loc) ? loc : null,
+        package: node.package ? String(node.package) : null,
+        type: node.type ? String(node.type) : null,
+        color: cssColorToHex(colorFor(node))
+      };
+    });
+    const edges = (Array.isArray(view && view.edges) ? view.edges : []).map(edge => ({
+      source: String(nodeId(edge.source)),
+      target: String(nodeId(edge.target)),
+      kind: edgeKindOf(edge),
+      dynamic: isDynamicEdge(edge),
+      deferred: isDeferredEdge(edge)
+    })).filter(edge => ids.has(edge.source) && ids.has(edge.target));
+    return { nodes: described, edges, profile };
+  }
+
+  function dotString(value){
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+  }
+
+  function writeDot(data, name){
+    const attrs = (entries) => entries
+      .filter(([, value]) => value != null)
+      .map(([key, value]) => `${key}=${typeof value === 'number' ? value : dotString(value)}`)
+      .join(', ');
+    const lines = [`digraph ${dotString(name)} {`];
+    lines.push(`  graph [rankdir=LR, profile=${dotString(data.profile)}];`);
+    lines.push('  node [shape=box, style="rounded,filled", fontname="Helvetica"];');
+    data.nodes.forEach(node => {
+      lines.push(`  ${dotString(node.id)} [${attrs([
+        ['label', node.label],
+        ['status', node.status],
+        ['sizeLOC', node.sizeLOC],
+        ['package', node.package],
+        ['type', node.type],
+        ['fillcolor', node.color],
+        ['fontcolor', node.color ? contrastingTextColor(node.color) : null]
+      ])}];`);
+    });
+    data.edges.forEach(edge => {
+      const style = edge.dynamic ? 'dashed' : (edge.deferred ? 'dotted' : null);
+      lines.push(`  ${dotString(edge.source)} -> ${dotString(edge.target)} [${attrs([['kind', edge.kind], ['style', style]])}];`);
+    });
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+  }
+
+  function xmlEscape(value){
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  const GRAPHML_NODE_KEYS = [
+    ['label', 'string'],
+    ['status', 'string'],
+    ['sizeLOC', 'int'],
+    ['package', 'string'],
+    ['type', 'string'],
+    ['color', 'string']
+  ];
+
+  function writeGraphMl(data, name){
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">'
+    ];
+    GRAPHML_NODE_KEYS.forEach(([key, type]) => {
+      lines.push(`  <key id="n_${key}" for="node" attr.name="${key}" attr.type="${type}"/>`);
+    });
+    lines.push('  <key id="e_kind" for="edge" attr.name="kind" attr.type="string"/>');
+    lines.push(`  <graph id="${xmlEscape(name)}" edgedefault="directed">`);
+    lines.push(`    <desc>${xmlEscape(`profile: ${data.profile}`)}</desc>`);
+    data.nodes.forEach(node => {
+      lines.push(`    <node id="${xmlEscape(node.id)}">`);
+      GRAPHML_NODE_KEYS.forEach(([key]) => {
+        if(node[key] != null) lines.push(`      <data key="n_${key}">${xmlEscape(node[key])}</data>`);
+      });
+      lines.push('    </node>');
+    });
+    data.edges.forEach(edge => {
+      lines.push(`    <edge source="${xmlEscape(edge.source)}" target="${xmlEscape(edge.target)}"><data key="e_kind">${xmlEscape(edge.kind)}</data></edge>`);
+    });
+    lines.push('  </graph>');
+    lines.push('</graphml>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  function mermaidText(value){
+    return String(value).replace(/"/g, '#quot;').replace(/\|/g, '#124;');
+  }
+
+  function writeMermaid(data){
+    const refs = new Map(data.nodes.map((node, idx) => [node.id, `n${idx}`]));
+    const lines = ['flowchart LR', `  %% profile: ${data.profile}`];
+    data.nodes.forEach(node => {
+      const details = [node.status, node.sizeLOC != null ? `${node.sizeLOC} LOC` : null, node.package].filter(Boolean).join(' · ');
+      lines.push(`  ${refs.get(node.id)}["${mermaidText(node.label)}${details ? `<br/>${mermaidText(details)}` : ''}"]`);
+    });
+    data.edges.forEach(edge => {
+      const arrow = edge.dynamic || edge.deferred ? '-.->' : '-->';
+      lines.push(`  ${refs.get(edge.source)} ${arrow}|${mermaidText(edge.kind)}| ${refs.get(edge.target)}`);
+    });
+    data.nodes.forEach(node => {
+      if(node.color) lines.push(`  style ${refs.get(node.id)} fill:${node.color},color:${contrastingTextColor(node.color)}`);
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  const GRAPH_EXPORT_FORMATS = ['dot', 'graphml', 'mermaid'];
+
+  function exportGraph(view, format, options = {}){
+    if(!GRAPH_EXPORT_FORMATS.includes(format)){
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    const data = describeExportView(view, options);
+    const name = options.name || 'dependencies';
+    if(format === 'dot') return writeDot(data, name);
+    if(format === 'graphml') return writeGraphMl(data, name);
+    return writeMermaid(data);
   }
 
   global.GraphPreprocessing = {
     computeDegrees,
     inferUsageStates,
+    computeStronglyConnectedComponents,
+    annotateCycles,
+    compileArchitectureRules,
+    evaluateArchitectureRules,
     computeProfileReachability,
     classifyGraph,
     preprocessGraph,
+    diffGraphs,
+    aggregateGraph,
+    createGraphSession,
+    applyGraphDelta,
+    computeSecurityExposure,
+    computeUnusedExports,
+    computeArchitectureMetrics,
+    compileNodeQuery,
+    importGraph,
+    importCoverage,
+    importLoadTrace,
+    summarizeSnapshot,
+    exportGraph,
     STATUS_ORDER,
     helpers: {
       nodeId,
       isDeferredEdge,
       isDynamicEdge,
+      edgeEvidence,
       edgePhase,
       isEdgeActiveInProfile,
       hasDynamicEvidence,
       normalizeEntrypoints,
       normalizeProfiles,
+      mergeLocalProfiles,
+      collectProfileFlags,
+      buildWitnessPath,
+      buildProfileMatrix,
       compileKeepRules,
+      keepRulesForExport,
+      keepRuleText,
+      compileKeepRule: compileRule,
+      normalizeKeepRules,
       normalizeSecuritySeverity,
       collectNodeSecurityFindings,
       summarizeSecurityFindings,
-      mergeSecurityFindingLists
+      extractNodeHash,
+      collectNodeExportSymbols,
+      collectOwnExportSymbols,
+      normalizeImportRecord,
+      resolveImportSpec,
+      normalizeSecurityBaseline,
+      applySecurityBaseline,
+      matchSecurityBaselineEntry,
+      createSecurityBaselineEntry,
+      detectGraphRoot,
+      graphFingerprint,
+      buildSarifReport,
+      buildCycloneDxBom,
+      mergeSecurityFindingLists,
+      detectGraphFormat,
+      detectCoverageFormat,
+      applyCoverage,
+      compareCoverageWithReachability,
+      applyLoadTraces,
+      parseSnapshotManifest,
+      orderSnapshots
     }
   };
 })(typeof self !== 'undefined' ? self : this);
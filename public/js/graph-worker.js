@@ -1,13 +1,85 @@
 importScripts('graph-preprocessing.js');
 
+const sessions = new Map();
+
+// Large crawler outputs arrive as text or a transferred ArrayBuffer so the
+// page never has to parse them. Graphs from other tools (madge,
+// dependency-cruiser, webpack stats, DOT, GraphML) are converted here too.
+// The parsed header (everything but nodes and edges) goes back with the
+// result for export naming and diff roots.
+function resolveRawGraph(payload, progress){
+  const api = self.GraphPreprocessing;
+  if(!payload) return { payload, header: null };
+  const { rawText, rawBuffer, sourceName, ...rest } = payload;
+  let input;
+  if(rawText != null || rawBuffer != null){
+    progress({ phase: 'parse' });
+    input = typeof rawText === 'string' ? rawText : new TextDecoder().decode(rawBuffer);
+  } else if(payload.rawGraph && api.helpers.detectGraphFormat(payload.rawGraph) !== 'graph'){
+    input = payload.rawGraph;
+  } else {
+    return { payload: rest, header: null };
+  }
+  const { rawGraph } = api.importGraph(input, { name: sourceName, onProgress: progress });
+  if(!rawGraph || typeof rawGraph !== 'object'){
+    throw new Error('Graph payload missing or invalid');
+  }
+  const { nodes, edges, ...header } = rawGraph;
+  return {
+    payload: {
+      ...rest,
+      rawGraph,
+      keepRuleConfig: Array.isArray(rest.keepRuleConfig) ? rest.keepRuleConfig : (Array.isArray(rawGraph.keepRules) ? rawGraph.keepRules : [])
+    },
+    header
+  };
+}
+
+function handleRequest(data, progress){
+  const { id, type } = data;
+  const api = self.GraphPreprocessing;
+  if(type === 'process' || type === 'open'){
+    const { payload, header } = resolveRawGraph(data.payload, progress);
+    const options = { ...payload, onProgress: progress };
+    let result;
+    if(type === 'open'){
+      const sessionId = data.sessionId != null ? data.sessionId : id;
+      const session = api.createGraphSession(options);
+      sessions.set(sessionId, session);
+      result = { ...session.result, sessionId };
+    } else {
+      result = api.preprocessGraph(options);
+    }
+    if(header) result.rawGraph = header;
+    return result;
+  }
+  // Timeline charts only need a handful of counts per snapshot, so the
+  // processed graph stays in the worker.
+  if(type === 'snapshot'){
+    const { payload } = resolveRawGraph(data.payload, progress);
+    return api.summarizeSnapshot(api.preprocessGraph({ ...payload, onProgress: progress }));
+  }
+  if(type === 'delta'){
+    const session = sessions.get(data.sessionId);
+    if(!session){
+      throw new Error(`Unknown graph session: ${data.sessionId}`);
+    }
+    return { ...api.applyGraphDelta(session, data.delta || {}, { onProgress: progress }), sessionId: data.sessionId };
+  }
+  if(type === 'close'){
+    sessions.delete(data.sessionId);
+    return { sessionId: data.sessionId, closed: true };
+  }
+  return undefined;
+}
+
 self.addEventListener('message', (event) => {
   const data = event.data || {};
-  const { id, type, payload } = data;
-  if(type !== 'process'){
-    return;
-  }
+  const { id } = data;
+  const progress = (info) => self.postMessage({ id, type: 'progress', progress: info });
   try {
-    const result = self.GraphPreprocessing.preprocessGraph(payload);
+    const result = handleRequest(data, progress);
+    if(result === undefined) return;
     self.postMessage({ id, type: 'result', result });
   } catch (error) {
     const message = error && error.message ? error.message : String(error);
@@ -258,4 +258,1029 @@ test('collects edges from nested graph containers', () => {
   assert(ids.has('lib/a.dart->pub:flutter:import'));
 });
 
+test('tags strongly connected components and summarizes cycles', () => {
+  const rawGraph = {
+    nodes: [
+      { id: 'src/a.js' },
+      { id: 'src/b.js' },
+      { id: 'src/c.js' },
+      { id: 'src/d.js' },
+      { id: 'src/self.js' }
+    ],
+    edges: [
+      { source: 'src/a.js', target: 'src/b.js', kind: 'import' },
+      { source: 'src/b.js', target: 'src/c.js', kind: 'import' },
+      { source: 'src/c.js', target: 'src/a.js', kind: 'import' },
+      { source: 'src/c.js', target: 'src/d.js', kind: 'import' },
+      { source: 'src/self.js', target: 'src/self.js', kind: 'import' }
+    ],
+    entrypoints: ['src/a.js']
+  };
+
+  const result = preprocessGraph({ rawGraph });
+  const byId = new Map(result.graph.nodes.map(n => [n.id, n]));
+  const cycles = result.summary.cycles;
+  assert.strictEqual(cycles.count, 2, 'should report the triangle and the self-import');
+  assert.strictEqual(cycles.nodesInCycles, 4);
+  assert.strictEqual(cycles.largest, 3);
+  assert.deepStrictEqual(Array.from(cycles.cycles[0].nodes), ['src/a.js', 'src/b.js', 'src/c.js']);
+  assert.strictEqual(cycles.cycles[0].closingEdges.length, 1, 'one back edge closes the triangle');
+  assert.strictEqual(cycles.cycles[0].closingEdges[0].source, 'src/c.js');
+  assert.strictEqual(cycles.cycles[0].closingEdges[0].target, 'src/a.js');
+
+  const cycleId = byId.get('src/a.js').cycleId;
+  assert(cycleId != null, 'cycle members should carry a cycle id');
+  assert.strictEqual(byId.get('src/b.js').cycleId, cycleId);
+  assert.strictEqual(byId.get('src/d.js').cycleId, null, 'acyclic nodes should not carry a cycle id');
+  assert(byId.get('src/d.js').componentId != null, 'every node should carry a component id');
+  assert.notStrictEqual(byId.get('src/self.js').cycleId, null, 'self-imports count as cycles');
+});
+
+test('records shortest witness paths per traversal variant', () => {
+  const rawGraph = {
+    nodes: [
+      { id: 'src/main.js' },
+      { id: 'src/router.js' },
+      { id: 'src/lazy.js' },
+      { id: 'src/page.js' },
+      { id: 'src/orphan.js' }
+    ],
+    edges: [
+      { source: 'src/main.js', target: 'src/router.js', kind: 'import' },
+      { source: 'src/router.js', target: 'src/page.js', kind: 'import' },
+      { source: 'src/main.js', target: 'src/lazy.js', kind: 'import' },
+      { source: 'src/lazy.js', target: 'src/page.js', kind: 'import' },
+      { source: 'src/main.js', target: 'src/page.js', kind: 'lazy' }
+    ],
+    entrypoints: ['src/main.js']
+  };
+
+  const result = preprocessGraph({ rawGraph });
+  const res = result.profileResults[0];
+  assert(res.witnesses, 'profile results should carry witnesses');
+  const anyPath = helpers.buildWitnessPath(res.witnesses.all, 'src/page.js');
+  assert.deepStrictEqual(Array.from(anyPath), ['src/main.js', 'src/page.js'], 'shortest path uses the direct lazy edge');
+  const eagerPath = helpers.buildWitnessPath(res.witnesses.noDeferred, 'src/page.js');
+  assert.strictEqual(eagerPath.length, 3, 'without deferred edges the path goes through an intermediate module');
+  assert.strictEqual(eagerPath[0], 'src/main.js');
+  assert.deepStrictEqual(Array.from(helpers.buildWitnessPath(res.witnesses.all, 'src/main.js')), ['src/main.js'], 'entrypoints are their own witness');
+  assert.strictEqual(helpers.buildWitnessPath(res.witnesses.all, 'src/orphan.js'), null, 'unreached nodes have no witness path');
+  assert(!res.reachableAll.includes('src/orphan.js'), 'orphan should stay unreachable');
+});
+
+test('diffGraphs matches nodes across machines and reports changes', () => {
+  const before = {
+    root: 'C:\\work\\app',
+    nodes: [
+      { id: 'C:\\work\\app\\src\\main.js', sizeLOC: 100 },
+      { id: 'C:\\work\\app\\src\\old.js', sizeLOC: 20 },
+      {
+        id: 'C:\\work\\app\\src\\auth.js',
+        sizeLOC: 50,
+        securityFindings: [{ id: 'js.eval', message: 'eval call', severity: 'high' }]
+      }
+    ],
+    edges: [
+      { source: 'C:\\work\\app\\src\\main.js', target: 'C:\\work\\app\\src\\old.js', kind: 'import' }
+    ],
+    entrypoints: ['C:\\work\\app\\src\\main.js']
+  };
+  const after = {
+    nodes: [
+      { id: '/home/ci/app/src/main.js', sizeLOC: 120 },
+      {
+        id: '/home/ci/app/src/auth.js',
+        sizeLOC: 50,
+        securityFindings: [{ id: 'js.secret', message: 'hardcoded secret', severity: 'critical' }]
+      },
+      { id: '/home/ci/app/src/new.js', sizeLOC: 10 }
+    ],
+    edges: [
+      { source: '/home/ci/app/src/main.js', target: '/home/ci/app/src/auth.js', kind: 'import' },
+      { source: '/home/ci/app/src/main.js', target: '/home/ci/app/src/new.js', kind: 'import' }
+    ],
+    entrypoints: ['/home/ci/app/src/main.js']
+  };
+
+  const diff = GraphPreprocessing.diffGraphs(before, after);
+  assert.deepStrictEqual(Array.from(diff.nodes.added.map(entry => entry.id)), ['/home/ci/app/src/new.js']);
+  assert.deepStrictEqual(Array.from(diff.nodes.removed.map(entry => entry.id)), ['C:\\work\\app\\src\\old.js']);
+  assert.strictEqual(diff.summary.edgesAdded, 2);
+  assert.strictEqual(diff.summary.edgesRemoved, 1);
+  assert.strictEqual(diff.edges.removed[0].sourceAfter, '/home/ci/app/src/main.js', 'surviving endpoints map onto the new ids');
+  assert.strictEqual(diff.loc.delta, 10);
+
+  const main = diff.nodes.changed.find(entry => entry.id === '/home/ci/app/src/main.js');
+  assert(main && main.loc, 'main.js should report a LOC change');
+  assert.strictEqual(main.loc.delta, 20);
+  const auth = diff.nodes.changed.find(entry => entry.id === '/home/ci/app/src/auth.js');
+  assert(auth && auth.statusByProfile, 'auth.js becomes reachable so its status changes');
+  assert.strictEqual(auth.statusByProfile.default.primaryAfter, 'reachable_current');
+  assert.strictEqual(diff.security.newFindings.length, 1);
+  assert.strictEqual(diff.security.newFindings[0].finding.id, 'js.secret');
+  assert.strictEqual(diff.security.resolvedFindings.length, 1);
+  assert.strictEqual(diff.security.resolvedFindings[0].finding.id, 'js.eval');
+});
+
+test('evaluates architecture layer and forbidden-dependency rules', () => {
+  const rawGraph = {
+    nodes: [
+      { id: 'src/ui/page.js' },
+      { id: 'src/domain/user.js' },
+      { id: 'src/db/client.js' },
+      { id: 'src/db/migrations/001.js' }
+    ],
+    edges: [
+      { source: 'src/ui/page.js', target: 'src/domain/user.js', kind: 'import' },
+      { source: 'src/ui/page.js', target: 'src/db/client.js', kind: 'import' },
+      { source: 'src/db/client.js', target: 'src/domain/user.js', kind: 'import' },
+      { source: 'src/db/migrations/001.js', target: 'src/domain/user.js', kind: 'import' }
+    ]
+  };
+  const architectureRules = {
+    layers: [
+      { name: 'ui', pattern: 'src/ui/*', glob: true },
+      { name: 'domain', pattern: 'src/domain/*', glob: true },
+      { name: 'db', pattern: 'src/db/*', glob: true }
+    ],
+    forbidden: [
+      { name: 'ui-no-db', from: { pattern: 'src/ui/*', glob: true }, to: { pattern: 'src/db/*', glob: true } }
+    ],
+    allowed: [
+      { from: { regex: '^src/db/migrations/' }, to: { regex: '^src/domain/' } }
+    ]
+  };
+
+  const result = preprocessGraph({ rawGraph, architectureRules });
+  const summary = result.summary.architecture;
+  assert.strictEqual(summary.ruleCount, 2, 'forbidden rule plus layer ordering');
+  assert.strictEqual(summary.violationCount, 2);
+  assert.strictEqual(summary.byRule['ui-no-db'], 1);
+  assert.strictEqual(summary.byRule.layers, 1, 'db -> domain points upward');
+  const upward = summary.violations.find(v => v.rule === 'layers');
+  assert.strictEqual(upward.source, 'src/db/client.js');
+  assert.strictEqual(upward.fromLayer, 'db');
+  assert.strictEqual(upward.toLayer, 'domain');
+  const flagged = result.graph.edges.filter(edge => Array.isArray(edge.violations));
+  assert.strictEqual(flagged.length, 2, 'offending edges should carry violations');
+  assert.strictEqual(result.graph.nodes.find(n => n.id === 'src/ui/page.js').layer, 'ui');
+});
+
+test('aggregates nodes into folder clusters that expand one level at a time', () => {
+  const rawGraph = {
+    entrypoints: ['/repo/src/main.js'],
+    nodes: [
+      { id: '/repo/src/main.js', sizeLOC: 10 },
+      { id: '/repo/src/ui/page.js', sizeLOC: 20 },
+      { id: '/repo/src/ui/widgets/button.js', sizeLOC: 5, securityFindings: [{ id: 'x', severity: 'high', message: 'eval' }] },
+      { id: '/repo/lib/orphan.js', sizeLOC: 7 },
+      { id: '/repo/lib/dead.js', sizeLOC: 3, package: 'legacy' }
+    ],
+    edges: [
+      { source: '/repo/src/main.js', target: '/repo/src/ui/page.js', kind: 'import' },
+      { source: '/repo/src/ui/page.js', target: '/repo/src/ui/widgets/button.js', kind: 'import' },
+      { source: '/repo/src/main.js', target: '/repo/src/ui/widgets/button.js', kind: 'import' },
+      { source: '/repo/src/ui/page.js', target: '/repo/lib/orphan.js', kind: 'import' }
+    ]
+  };
+  const { graph } = preprocessGraph({ rawGraph, profiles: { default: { label: 'Default' } } });
+
+  const top = GraphPreprocessing.aggregateGraph(graph);
+  assert.strictEqual(top.root, '/repo');
+  assert.deepStrictEqual(Array.from(top.nodes, n => n.id).sort(), ['cluster:lib', 'cluster:src']);
+  const src = top.nodes.find(n => n.id === 'cluster:src');
+  assert.strictEqual(src.memberCount, 3);
+  assert.strictEqual(src.sizeLOC, 35);
+  assert.strictEqual(src.securityFindingCount, 1);
+  assert.strictEqual(src.securityBySeverity.high, 1);
+  assert.strictEqual(top.edges.length, 1, 'intra-cluster edges fold away');
+  assert.strictEqual(top.edges[0].weight, 1);
+
+  const expanded = GraphPreprocessing.aggregateGraph(graph, { expanded: ['src'] });
+  const ids = Array.from(expanded.nodes, n => n.id).sort();
+  assert.deepStrictEqual(ids, ['/repo/src/main.js', 'cluster:lib', 'cluster:src/ui']);
+  const ui = expanded.nodes.find(n => n.id === 'cluster:src/ui');
+  assert.strictEqual(ui.parentKey, 'src');
+  const fromMain = expanded.edges.find(e => e.source === '/repo/src/main.js');
+  assert.strictEqual(fromMain.target, 'cluster:src/ui');
+  assert.strictEqual(fromMain.weight, 2, 'parallel edges into a cluster are weighted');
+  assert.strictEqual(expanded.parentOf.get('/repo/src/main.js'), 'src');
+
+  const lib = top.nodes.find(n => n.id === 'cluster:lib');
+  assert.strictEqual(lib.primaryByProfile.default, 'disconnected_all_profiles', 'clusters carry their worst member status');
+
+  const byPackage = GraphPreprocessing.aggregateGraph(graph, { by: 'package' });
+  assert(byPackage.nodes.some(n => n.id === 'cluster:legacy'));
+  assert.strictEqual(byPackage.nodes.length, 5, 'nodes without a package stay individual');
+});
+
+test('graph sessions apply deltas and report only reclassified nodes', () => {
+  const rawGraph = {
+    entrypoints: ['src/main.js'],
+    profiles: ['web', 'admin'],
+    nodes: [
+      { id: 'src/main.js' },
+      { id: 'src/used.js' },
+      { id: 'src/plugin.js' },
+      { id: 'src/orphan.js' }
+    ],
+    edges: [
+      { source: 'src/main.js', target: 'src/used.js', kind: 'import' },
+      { source: 'src/main.js', target: 'src/plugin.js', kind: 'import', profile: 'admin' }
+    ]
+  };
+  const session = GraphPreprocessing.createGraphSession({ rawGraph });
+  assert.strictEqual(session.result.graph.nodes.length, 4);
+  const nodeById = (id) => session.state.graph.nodes.find(n => n.id === id);
+  assert.strictEqual(nodeById('src/plugin.js').primaryByProfile.web, 'reachable_other_profile');
+
+  const keep = GraphPreprocessing.applyGraphDelta(session, { localKeepRules: [{ regex: '^src/plugin\\.js$' }] });
+  assert.deepStrictEqual(Array.from(keep.changedNodes, n => n.id), ['src/plugin.js']);
+  assert(keep.changedNodes[0].statusByProfile.web.includes('dynamic_only'));
+  assert.strictEqual(keep.profileResults, null, 'keep rules do not rerun reachability');
+  assert.strictEqual(keep.compiledKeepRules.length, 1);
+
+  const linked = GraphPreprocessing.applyGraphDelta(session, {
+    addEdges: [{ source: 'src/used.js', target: 'src/orphan.js', kind: 'import' }]
+  });
+  assert.strictEqual(linked.edgesAdded.length, 1);
+  const linkedIds = Array.from(linked.changedNodes, n => n.id).sort();
+  assert.deepStrictEqual(linkedIds, ['src/orphan.js', 'src/used.js'], 'only the edge endpoints move');
+  assert.strictEqual(nodeById('src/orphan.js').primaryByProfile.web, 'reachable_current');
+  assert(Array.isArray(linked.profileResults));
+
+  const unlinked = GraphPreprocessing.applyGraphDelta(session, {
+    removeEdges: [{ source: 'src/used.js', target: 'src/orphan.js' }],
+    entrypoints: ['src/plugin.js']
+  });
+  assert.strictEqual(unlinked.edgesRemoved.length, 1);
+  assert.deepStrictEqual(Array.from(unlinked.entrypoints), ['src/plugin.js']);
+  assert.strictEqual(nodeById('src/main.js').primaryByProfile.web, 'disconnected_all_profiles');
+  assert.strictEqual(session.state.graph.edges.length, 2);
+});
+
+test('reports progress for each preprocessing phase', () => {
+  const phases = [];
+  preprocessGraph({
+    rawGraph: {
+      profiles: ['web', 'admin'],
+      nodes: [{ id: 'a.js' }, { id: 'b.js' }],
+      edges: [{ source: 'a.js', target: 'b.js' }]
+    },
+    onProgress: (info) => phases.push(info.phase === 'reachability' ? `${info.phase}:${info.profile}:${info.index}/${info.total}` : info.phase)
+  });
+  assert.deepStrictEqual(phases, ['edges', 'ingest', 'reachability:web:1/2', 'reachability:admin:2/2', 'classify']);
+});
+
+test('graph-check CLI gates on disconnected files and finding severity', () => {
+  const { spawnSync } = require('child_process');
+  const os = require('os');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-check-'));
+  const write = (name, data) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(data));
+    return file;
+  };
+  const baseline = write('baseline.json', {
+    entrypoints: ['src/main.js'],
+    nodes: [{ id: 'src/main.js' }, { id: 'src/util.js' }],
+    edges: [{ source: 'src/main.js', target: 'src/util.js' }]
+  });
+  const current = write('current.json', {
+    entrypoints: ['src/main.js'],
+    nodes: [
+      { id: 'src/main.js', securityFindings: [{ id: 'js.eval', severity: 'critical', message: 'eval()' }] },
+      { id: 'src/util.js' },
+      { id: 'src/dead.js' }
+    ],
+    edges: [{ source: 'src/main.js', target: 'src/util.js' }]
+  });
+  const keepRules = write('keep.json', { keepRules: [{ regex: '^src/dead\\.js$' }] });
+  const cli = path.join(__dirname, '..', 'bin', 'graph-check.js');
+  const run = (...args) => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8' });
+
+  try {
+    const passing = run(current, '--max-disconnected', '1');
+    assert.strictEqual(passing.status, 0, passing.stderr);
+    assert(/disconnected_all_profiles\s+1/.test(passing.stdout));
+    assert(/Security: 1 finding on 1 node \(critical 1\)/.test(passing.stdout));
+
+    const gated = run(current, '--baseline', baseline, '--max-new-disconnected', '0', '--fail-on', 'high', '--json');
+    assert.strictEqual(gated.status, 1);
+    const report = JSON.parse(gated.stdout);
+    assert.deepStrictEqual(report.newDisconnected, ['src/dead.js']);
+    assert.deepStrictEqual(report.checks.map(check => check.passed), [false, false]);
+
+    assert.strictEqual(run(current, '--keep-rules', keepRules).status, 0);
+    assert.strictEqual(run(current, '--keep-rules', baseline).status, 2, 'keep-rule files must hold a rule list');
+
+    assert.strictEqual(run(current, '--max-new-disconnected', '0').status, 2, 'missing --baseline is a usage error');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('builds a SARIF 2.1.0 log from node security findings', () => {
+  const nodes = [
+    {
+      id: 'C:\\work\\app\\src\\main.js',
+      securityFindings: [
+        { id: 'eval.call', severity: 'high', message: 'Use of eval()', line: 12, code: 'eval(input)' },
+        { id: 'math.random', severity: 'low', message: 'Math.random()', line: 3 }
+      ]
+    },
+    { id: 'C:\\work\\app\\src\\util.js', securityFindings: [{ id: 'eval.call', severityNormalized: 'critical', message: 'eval again' }] },
+    { id: 'C:\\work\\app\\README.md' }
+  ];
+  const sarif = helpers.buildSarifReport(nodes);
+  assert.strictEqual(sarif.version, '2.1.0');
+  const run = sarif.runs[0];
+  assert.deepStrictEqual(Array.from(run.tool.driver.rules, rule => rule.id), ['eval.call', 'math.random']);
+  assert.strictEqual(run.tool.driver.rules[0].properties['security-severity'], '8.0');
+  assert.strictEqual(run.originalUriBaseIds['%SRCROOT%'].uri, 'file:///C:/work/app/');
+  assert.strictEqual(run.results.length, 3);
+  const [evalResult, randomResult, critical] = run.results;
+  assert.strictEqual(evalResult.level, 'error');
+  assert.strictEqual(randomResult.level, 'note');
+  assert.strictEqual(randomResult.ruleIndex, 1);
+  const location = evalResult.locations[0].physicalLocation;
+  assert.strictEqual(location.artifactLocation.uri, 'src/main.js');
+  assert.strictEqual(location.artifactLocation.uriBaseId, '%SRCROOT%');
+  assert.strictEqual(location.region.startLine, 12);
+  assert.strictEqual(location.region.snippet.text, 'eval(input)');
+  assert.strictEqual(critical.level, 'error');
+  assert.strictEqual(critical.locations[0].physicalLocation.region, undefined, 'findings without a line have no region');
+
+  const unnamed = helpers.buildSarifReport([{ id: 'src/a.js', securityFindings: [
+    { message: 'eval', code: 'eval(x)' },
+    { message: 'exec', code: 'child_process.exec(cmd)' },
+    { message: 'weak hash', rule: 'crypto.md5' },
+    { message: 'unknown' }
+  ] }]);
+  assert.deepStrictEqual(Array.from(unnamed.runs[0].tool.driver.rules, rule => rule.id), ['eval(x)', 'child_process.exec(cmd)', 'crypto.md5', 'nurox.security']);
+});
+
+test('builds a CycloneDX 1.5 BOM from SBOM rows and edges', () => {
+  const main = { id: '/repo/src/main.js', type: 'file', securityFindings: [{ id: 'eval.call', severity: 'med', message: 'Use of eval()', line: 4 }] };
+  const util = { id: '/repo/src/util.js', type: 'file', securityFindings: [{ id: 'eval.call', severity: 'med', message: 'Use of eval()' }] };
+  const lodash = { id: '/repo/node_modules/lodash/index.js', type: 'external', version: '4.17.21' };
+  const scoped = { id: '/repo/node_modules/@scope/pkg/lib/index.js', type: 'external' };
+  const rows = [
+    { node: main, values: { hash: 'a'.repeat(64), statusPrimary: 'reachable_current', external: false } },
+    { node: util, values: { hash: 'not-a-digest', external: false } },
+    { node: lodash, values: { hash: 'sha512-' + 'A'.repeat(86) + '==', external: true } },
+    { node: scoped, values: { external: true } }
+  ];
+  const edges = [
+    { source: main.id, target: util.id },
+    { source: main, target: lodash },
+    { source: util.id, target: scoped.id },
+    { source: util.id, target: '/repo/src/hidden.js' }
+  ];
+  const bom = helpers.buildCycloneDxBom(rows, { edges, serialNumber: 'urn:uuid:00000000-0000-4000-8000-000000000000', timestamp: '2024-01-01T00:00:00.000Z' });
+  assert.strictEqual(bom.bomFormat, 'CycloneDX');
+  assert.strictEqual(bom.specVersion, '1.5');
+  assert.strictEqual(bom.metadata.component.name, 'repo');
+  assert.strictEqual(bom.metadata.component['bom-ref'], 'urn:nurox:root', 'the project ref cannot collide with a node id');
+  const [mainComponent, utilComponent, lodashComponent, scopedComponent] = bom.components;
+  assert.strictEqual(mainComponent.type, 'file');
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(mainComponent.hashes)), [{ alg: 'SHA-256', content: 'a'.repeat(64) }]);
+  assert.strictEqual(utilComponent.hashes, undefined);
+  assert.ok(utilComponent.properties.some(prop => prop.name === 'nurox:hash' && prop.value === 'not-a-digest'));
+  assert.strictEqual(lodashComponent.type, 'library');
+  assert.strictEqual(lodashComponent.name, 'lodash');
+  assert.strictEqual(lodashComponent.purl, 'pkg:npm/lodash@4.17.21');
+  const purls = helpers.buildCycloneDxBom([
+    { id: 'pip:requests', type: 'external', lang: 'python', version: '2.31.0' },
+    { id: 'crate:serde', type: 'external', lang: 'rust', version: '1.0.0' },
+    { id: 'go:github.com/pkg/errors', type: 'external', lang: 'go', version: 'v0.9.1' },
+    { id: '@scope/pkg', type: 'external', version: '1.0.0' },
+    { id: 'std:fmt', type: 'external', lang: 'go', version: '1.22' },
+    { id: 'mvn:org.slf4j', type: 'external', lang: 'java', version: '2.0.0' },
+    { id: 'Newtonsoft.Json', type: 'external', lang: 'csharp', version: '13.0.1' }
+  ]).components.map(component => component.purl || null);
+  assert.deepStrictEqual(purls, [
+    'pkg:pypi/requests@2.31.0',
+    'pkg:cargo/serde@1.0.0',
+    'pkg:golang/github.com/pkg/errors@v0.9.1',
+    'pkg:npm/%40scope/pkg@1.0.0',
+    null,
+    null,
+    null
+  ], 'purls follow the external\'s ecosystem and are left out when it has none');
+  assert.strictEqual(lodashComponent.hashes[0].alg, 'SHA-512');
+  assert.strictEqual(lodashComponent.hashes[0].content, '0'.repeat(128));
+  assert.strictEqual(scopedComponent.group, '@scope');
+  assert.strictEqual(scopedComponent.name, 'pkg');
+  const deps = new Map(bom.dependencies.map(entry => [entry.ref, Array.from(entry.dependsOn)]));
+  assert.deepStrictEqual(deps.get(main.id), [lodash.id, util.id]);
+  assert.deepStrictEqual(deps.get(util.id), [scoped.id], 'edges to nodes outside the export are dropped');
+  assert.deepStrictEqual(deps.get(lodash.id), []);
+  assert.strictEqual(bom.vulnerabilities.length, 1, 'identical findings share one vulnerability');
+  const [vulnerability] = bom.vulnerabilities;
+  assert.strictEqual(vulnerability.ratings[0].severity, 'medium');
+  assert.deepStrictEqual(Array.from(vulnerability.affects, entry => entry.ref), [main.id, util.id]);
+});
+
+test('imports madge, dependency-cruiser, webpack, DOT and GraphML graphs', () => {
+  const edgePairs = (rawGraph) => Array.from(rawGraph.edges, edge => `${edge.source}->${edge.target}`).sort();
+
+  const madge = GraphPreprocessing.importGraph(JSON.stringify({ 'src/a.js': ['src/b.js'], 'src/b.js': [] }));
+  assert.strictEqual(madge.format, 'madge');
+  assert.deepStrictEqual(edgePairs(madge.rawGraph), ['src/a.js->src/b.js']);
+
+  const cruiser = GraphPreprocessing.importGraph({
+    modules: [
+      { source: 'src/a.js', dependencies: [
+        { resolved: 'src/lazy.js', module: './lazy', dynamic: true, dependencyTypes: ['local'] },
+        { resolved: 'node_modules/lodash/lodash.js', module: 'lodash', dynamic: false, dependencyTypes: ['npm'] }
+      ] },
+      { source: 'src/lazy.js', dependencies: [] }
+    ],
+    summary: { optionsUsed: { baseDir: '.' } }
+  });
+  assert.strictEqual(cruiser.format, 'dependency-cruiser');
+  const lazyEdge = cruiser.rawGraph.edges.find(edge => edge.target === 'src/lazy.js');
+  assert.ok(helpers.isDynamicEdge(lazyEdge));
+  assert.strictEqual(cruiser.rawGraph.nodes.find(node => node.id === 'node_modules/lodash/lodash.js').type, 'external');
+
+  const webpack = GraphPreprocessing.importGraph(JSON.stringify({
+    version: '5.0.0',
+    modules: [
+      { identifier: '/app/src/index.js', name: './src/index.js', size: 120, reasons: [{ type: 'entry', moduleName: null }] },
+      { identifier: '/app/src/page.js', name: './src/page.js', reasons: [{ type: 'import()', moduleName: './src/index.js' }] },
+      { identifier: '/app/src/util.js + 2 modules', name: './src/util.js + 2 modules', reasons: [{ type: 'harmony import specifier', moduleName: './src/page.js' }, { type: 'harmony side effect evaluation', moduleName: './src/page.js' }] }
+    ]
+  }));
+  assert.strictEqual(webpack.format, 'webpack');
+  assert.deepStrictEqual(Array.from(webpack.rawGraph.entrypoints), ['src/index.js']);
+  assert.deepStrictEqual(edgePairs(webpack.rawGraph), ['src/index.js->src/page.js', 'src/page.js->src/util.js']);
+  assert.strictEqual(webpack.rawGraph.edges[0].dynamic, true);
+
+  const dot = GraphPreprocessing.importGraph([
+    '// generated',
+    'digraph "deps" {',
+    '  node [shape=box];',
+    '  "src/a.js" -> "src/b.js" -> { "src/c.js" d } [style=dashed, kind="dynamic"];',
+    '  e [label="E node"];',
+    '  subgraph cluster_x { "src/c.js":port -> e }',
+    '}'
+  ].join('\n'));
+  assert.strictEqual(dot.format, 'dot');
+  assert.strictEqual(dot.rawGraph.name, 'deps');
+  assert.deepStrictEqual(edgePairs(dot.rawGraph), ['src/a.js->src/b.js', 'src/b.js->d', 'src/b.js->src/c.js', 'src/c.js->e']);
+  assert.ok(helpers.isDynamicEdge(dot.rawGraph.edges[0]));
+  assert.strictEqual(dot.rawGraph.nodes.find(node => node.id === 'e').label, 'E node');
+  assert.strictEqual(dot.rawGraph.nodes.find(node => node.id === 'src/a.js').shape, 'box');
+
+  const graphml = GraphPreprocessing.importGraph(`<?xml version="1.0"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+  <key id="d0" for="node" attr.name="sizeLOC" attr.type="int"/>
+  <key id="d1" for="edge" attr.name="kind" attr.type="string"><default>import</default></key>
+  <graph edgedefault="directed">
+    <node id="src/a.js"><data key="d0">42</data></node>
+    <node id="src/b&amp;c.js"/>
+    <edge source="src/a.js" target="src/b&amp;c.js"/>
+  </graph>
+</graphml>`);
+  assert.strictEqual(graphml.format, 'graphml');
+  assert.strictEqual(graphml.rawGraph.nodes[0].sizeLOC, 42);
+  assert.deepStrictEqual(edgePairs(graphml.rawGraph), ['src/a.js->src/b&c.js']);
+  assert.strictEqual(graphml.rawGraph.edges[0].kind, 'import');
+
+  const native = { nodes: [{ id: 'a' }], edges: [] };
+  assert.strictEqual(GraphPreprocessing.importGraph(native).rawGraph, native);
+  const header = { entrypoints: ['src/main.js'], keepRules: ['^src/plugins/'] };
+  assert.strictEqual(helpers.detectGraphFormat(header), 'graph', 'native headers are not madge files');
+  assert.strictEqual(GraphPreprocessing.importGraph(header).rawGraph, header);
+  assert.strictEqual(helpers.detectGraphFormat('{"nodes":[]}', 'graph.dot'), 'dot', 'file extensions take precedence');
+
+  const result = preprocessGraph({ rawGraph: webpack.rawGraph, keepRuleConfig: [] });
+  const page = result.graph.nodes.find(node => node.id === 'src/page.js');
+  assert.ok(page.statusByProfile.default.includes('dynamic_only'), 'import() reasons only reach the page dynamically');
+});
+
+test('exports a view as DOT, GraphML and Mermaid', () => {
+  const view = {
+    nodes: [
+      { id: 'repo/src/a.js', sizeLOC: 10, package: 'app', type: 'file', primaryByProfile: { web: 'reachable_current' } },
+      { id: 'repo/src/"quoted".js', type: 'file', primaryByProfile: { web: 'dynamic_only' } }
+    ],
+    edges: [
+      { source: { id: 'repo/src/a.js' }, target: { id: 'repo/src/"quoted".js' }, kind: 'dynamic-import' },
+      { source: 'repo/src/a.js', target: 'repo/src/elsewhere.js', kind: 'import' }
+    ]
+  };
+  const options = { profile: 'web', colorFor: node => (node.sizeLOC ? 'hsl(120 100% 25%)' : '#fff') };
+
+  const dot = GraphPreprocessing.exportGraph(view, 'dot', options);
+  assert.ok(dot.includes('fillcolor="#008000"'), 'hsl colors are converted to hex');
+  assert.ok(dot.includes('"repo/src/\\"quoted\\".js"'));
+  assert.ok(dot.includes('style="dashed"'));
+  const dotBack = GraphPreprocessing.importGraph(dot).rawGraph;
+  const a = dotBack.nodes.find(node => node.id === 'repo/src/a.js');
+  assert.strictEqual(a.label, 'a.js');
+  assert.strictEqual(a.status, 'reachable_current');
+  assert.strictEqual(a.sizeLOC, '10');
+  assert.strictEqual(dotBack.edges.length, 1, 'edges leaving the view are dropped');
+  assert.strictEqual(dotBack.edges[0].kind, 'dynamic-import');
+
+  const graphml = GraphPreprocessing.exportGraph(view, 'graphml', options);
+  const graphmlBack = GraphPreprocessing.importGraph(graphml).rawGraph;
+  assert.strictEqual(graphmlBack.nodes[0].sizeLOC, 10);
+  assert.strictEqual(graphmlBack.nodes[0].package, 'app');
+  assert.strictEqual(graphmlBack.nodes[1].id, 'repo/src/"quoted".js');
+  assert.strictEqual(graphmlBack.edges[0].kind, 'dynamic-import');
+
+  const mermaid = GraphPreprocessing.exportGraph(view, 'mermaid', options).split('\n');
+  assert.strictEqual(mermaid[0], 'flowchart LR');
+  assert.ok(mermaid.includes('  n0["a.js<br/>reachable_current · 10 LOC · app"]'));
+  assert.ok(mermaid.includes('  n1["#quot;quoted#quot;.js<br/>dynamic_only"]'));
+  assert.ok(mermaid.includes('  n0 -.->|dynamic-import| n1'));
+  assert.ok(mermaid.includes('  style n1 fill:#ffffff,color:#111111'));
+
+  assert.throws(() => GraphPreprocessing.exportGraph(view, 'svg'), /Unsupported export format/);
+});
+
+test('applies a security baseline and splits findings into new, baselined and suppressed', () => {
+  const rawGraph = {
+    root: '/work/app',
+    nodes: [
+      { id: '/work/app/src/a.js', contentHash: 'abc', securityFindings: [
+        { id: 'eval.call', severity: 'high', message: 'eval', line: 3, code: 'eval(x)' },
+        { id: 'math.random', severity: 'low', message: 'random', line: 9 }
+      ] },
+      { id: '/work/app/src/b.js', contentHash: 'def', securityFindings: [{ id: 'eval.call', severity: 'critical', message: 'eval', line: 1 }] }
+    ],
+    edges: [],
+    securityBaseline: [{ path: 'src/a.js', id: 'math.random' }]
+  };
+  const entry = helpers.createSecurityBaselineEntry(rawGraph.nodes[0], rawGraph.nodes[0].securityFindings[0], {
+    root: helpers.detectGraphRoot(rawGraph, rawGraph.nodes),
+    state: 'suppressed',
+    justification: 'Sandboxed input',
+    createdAt: '2024-01-01T00:00:00.000Z'
+  });
+  assert.deepStrictEqual({ ...entry }, {
+    path: 'src/a.js', state: 'suppressed', id: 'eval.call', code: 'eval(x)', line: 3, hash: 'abc',
+    justification: 'Sandboxed input', createdAt: '2024-01-01T00:00:00.000Z'
+  });
+
+  const session = GraphPreprocessing.createGraphSession({ rawGraph, securityBaseline: { entries: [entry] } });
+  const security = session.result.summary.security;
+  assert.deepStrictEqual({ ...security.byBaseline }, { new: 1, baselined: 1, suppressed: 1 });
+  assert.deepStrictEqual({ ...security.newBySeverity }, { critical: 1 });
+  const [evalFinding] = session.result.graph.nodes[0].securityFindings;
+  assert.strictEqual(evalFinding.suppression.justification, 'Sandboxed input');
+
+  const sarif = helpers.buildSarifReport(session.result.graph.nodes);
+  const results = sarif.runs[0].results;
+  assert.deepStrictEqual(Array.from(results, result => result.baselineState), ['unchanged', 'unchanged', 'new']);
+  assert.strictEqual(results[0].suppressions[0].justification, 'Sandboxed input');
+
+  const moved = { ...entry, hash: 'stale' };
+  const delta = GraphPreprocessing.applyGraphDelta(session, { securityBaseline: [moved] });
+  assert.deepStrictEqual({ ...delta.summary.security.byBaseline }, { new: 2, baselined: 1, suppressed: 0 }, 'hash-pinned entries lapse when the content changes');
+  assert.deepStrictEqual(Array.from(delta.changedNodes, node => node.id), ['/work/app/src/a.js']);
+  assert.strictEqual(delta.securityBaseline.length, 2, 'graph-file entries are kept alongside the viewer entries');
+  assert.strictEqual(helpers.normalizeSecurityBaseline([{ path: 'src/a.js' }, { id: 'x' }]).length, 0, 'entries need a path and a finding key');
+});
+
+test('propagates security risk backwards from findings to the entrypoints that reach them', () => {
+  const rawGraph = {
+    entrypoints: ['src/main.js'],
+    profiles: ['web', 'admin'],
+    nodes: [
+      { id: 'src/main.js' },
+      { id: 'src/admin.js' },
+      { id: 'src/util.js', securityFindings: [{ id: 'eval.call', severity: 'critical', message: 'eval' }] },
+      { id: 'src/log.js', securityFindings: [{ id: 'math.random', severity: 'low', message: 'random' }] },
+      { id: 'src/orphan.js', securityFindings: [{ id: 'eval.call', severity: 'high', message: 'eval' }] }
+    ],
+    edges: [
+      { source: 'src/main.js', target: 'src/log.js' },
+      { source: 'src/main.js', target: 'src/admin.js', profiles: ['admin'] },
+      { source: 'src/admin.js', target: 'src/util.js' }
+    ]
+  };
+  const { graph, summary } = preprocessGraph({ rawGraph });
+  const byId = new Map(graph.nodes.map(node => [node.id, node]));
+  assert.deepStrictEqual({ ...byId.get('src/admin.js').riskByProfile.admin }, { score: 10, own: 0, transitive: 10, findings: 1, exposed: true });
+  assert.strictEqual(byId.get('src/main.js').riskByProfile.web.score, 1, 'admin-only edges do not carry risk in the web profile');
+  assert.strictEqual(byId.get('src/main.js').riskByProfile.admin.score, 11);
+  assert.strictEqual(byId.get('src/orphan.js').riskByProfile.admin.exposed, false);
+
+  const [entry] = summary.risk.byProfile.admin.entrypoints;
+  assert.strictEqual(entry.id, 'src/main.js');
+  assert.deepStrictEqual(Array.from(entry.findings, finding => finding.node), ['src/util.js', 'src/log.js'], 'reachable findings are sorted by severity');
+  assert.strictEqual(summary.risk.byProfile.web.entrypoints[0].findings.length, 1);
+  assert.strictEqual(summary.risk.byProfile.admin.maxScore, 11);
+
+  const cyclic = preprocessGraph({ rawGraph: {
+    entrypoints: ['a'],
+    nodes: [
+      { id: 'a' },
+      { id: 'b', securityFindings: [{ id: 'x', severity: 'high', message: 'x' }] },
+      { id: 'c', securityFindings: [{ id: 'y', severity: 'low', message: 'y' }] },
+      { id: 'd', securityFindings: [{ id: 'z', severity: 'critical', message: 'z' }] }
+    ],
+    edges: [
+      { source: 'a', target: 'b' }, { source: 'a', target: 'c' },
+      { source: 'b', target: 'c' }, { source: 'c', target: 'b' },
+      { source: 'b', target: 'd' }, { source: 'c', target: 'd' }
+    ]
+  } }).graph;
+  const risk = id => cyclic.nodes.find(node => node.id === id).riskByProfile.default;
+  assert.deepStrictEqual({ ...risk('a') }, { score: 18, own: 0, transitive: 18, findings: 3, exposed: true }, 'shared findings count once');
+  assert.deepStrictEqual({ ...risk('b') }, { score: 18, own: 7, transitive: 11, findings: 3, exposed: true }, 'cycle members carry each other\'s findings');
+  assert.strictEqual(risk('c').transitive, 17);
+});
+
+test('compiles structured node queries and reports errors with positions', () => {
+  const rawGraph = {
+    entrypoints: ['src/main.js'],
+    profiles: ['prod', 'dev'],
+    nodes: [
+      { id: 'src/main.js', lang: 'js', sizeLOC: 600, exports: { named: ['useAuth'] } },
+      { id: 'src/a/legacy/x.py', lang: 'python', securityFindings: [{ id: 'eval', severity: 'high' }] },
+      { id: 'lodash', type: 'external' }
+    ],
+    edges: [{ source: 'src/main.js', target: 'src/a/legacy/x.py', profiles: ['dev'] }]
+  };
+  const { graph } = preprocessGraph({ rawGraph });
+  const run = (text, profile = 'prod') => {
+    const { match, error } = GraphPreprocessing.compileNodeQuery(text, { profiles: ['prod', 'dev'] });
+    assert.strictEqual(error, null, text);
+    return graph.nodes.filter(node => match(node, { profile })).map(node => node.id).join(',');
+  };
+  assert.strictEqual(run('lang:py'), 'src/a/legacy/x.py');
+  assert.strictEqual(run('path:src/**/legacy/* severity>=high'), 'src/a/legacy/x.py');
+  assert.strictEqual(run('status:disconnected'), 'lodash');
+  assert.strictEqual(run('status:reachable_current'), 'src/main.js');
+  assert.strictEqual(run('status:reachable_current', 'dev'), 'src/main.js,src/a/legacy/x.py');
+  assert.strictEqual(run('export:useAuth OR type:external'), 'src/main.js,lodash');
+  assert.strictEqual(run('NOT (loc>=500 OR has:security)'), 'lodash');
+  assert.strictEqual(run('-main profile:dev'), 'src/a/legacy/x.py');
+
+  const errorFor = text => {
+    const { error } = GraphPreprocessing.compileNodeQuery(text, { profiles: ['prod', 'dev'] });
+    return error && `${error.message}@${error.start}`;
+  };
+  assert.strictEqual(errorFor('main (deg>1'), 'Missing closing parenthesis@5');
+  assert.strictEqual(errorFor('main type:'), 'Missing value after type:@5');
+  const pathQuery = GraphPreprocessing.compileNodeQuery('C:/source/app');
+  assert.strictEqual(pathQuery.error, null, 'unknown prefixes are plain id text');
+  assert.strictEqual(pathQuery.match({ id: 'C:/source/app/main.js' }), true);
+  assert.strictEqual(GraphPreprocessing.compileNodeQuery('node:fs').match({ id: 'node:fs' }), true);
+  assert.strictEqual(run('path:*/legacy/*.py'), 'src/a/legacy/x.py');
+  assert.strictEqual(run('path:legacy/*'), 'src/a/legacy/x.py', 'path globs may start at any directory');
+  assert.strictEqual(run('path:src/*/x.py'), '', '* stays within one directory');
+  assert.strictEqual(run('path:src/**/x.py'), 'src/a/legacy/x.py');
+  const absolute = GraphPreprocessing.compileNodeQuery('path:src/**/legacy/*');
+  assert.strictEqual(absolute.match({ id: 'C:\\source\\app\\src\\feature\\legacy\\old.js' }, { profile: 'prod' }), true);
+  assert.strictEqual(absolute.match({ id: 'C:\\source\\app\\mysrc\\legacy\\old.js' }, { profile: 'prod' }), false, 'globs start at a directory boundary');
+  assert.strictEqual(errorFor('deg>lots'), 'deg needs a number, got "lots"@0');
+  assert.strictEqual(errorFor('profile:staging'), 'Unknown profile "staging"@0');
+  assert.strictEqual(errorFor('main OR'), 'Query ends unexpectedly@7');
+});
+
+test('normalizes keep-rule files and skips disabled rules', () => {
+  const rules = helpers.normalizeKeepRules({
+    keepRules: [
+      '^src/plugins/',
+      { pattern: 'src/*.gen.js', glob: true, note: 'generated' },
+      { regex: 'legacy', flags: 'i', disabled: true },
+      { regex: '(' },
+      42
+    ]
+  });
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(rules)), [
+    { regex: '^src/plugins/' },
+    { pattern: 'src/*.gen.js', glob: true, note: 'generated' },
+    { regex: 'legacy', flags: 'i', disabled: true }
+  ]);
+  assert.strictEqual(helpers.compileKeepRules(rules).length, 2, 'disabled rules do not compile');
+
+  const rawGraph = {
+    entrypoints: ['src/main.js'],
+    profiles: ['web', 'admin'],
+    nodes: [{ id: 'src/main.js' }, { id: 'src/LEGACY.js' }, { id: 'src/a.gen.js' }],
+    edges: [
+      { source: 'src/main.js', target: 'src/LEGACY.js', profiles: ['admin'] },
+      { source: 'src/main.js', target: 'src/a.gen.js', profiles: ['admin'] }
+    ]
+  };
+  const session = GraphPreprocessing.createGraphSession({ rawGraph, localKeepRules: rules });
+  const status = id => session.result.graph.nodes.find(node => node.id === id).primaryByProfile.web;
+  assert.strictEqual(status('src/a.gen.js'), 'dynamic_only');
+  assert.strictEqual(status('src/LEGACY.js'), 'reachable_other_profile');
+  const delta = GraphPreprocessing.applyGraphDelta(session, { localKeepRules: rules.map(rule => ({ ...rule, disabled: false })) });
+  assert.deepStrictEqual(Array.from(delta.changedNodes, node => node.id), ['src/LEGACY.js']);
+  const config = [{ pattern: 'src/*.gen.js', glob: true }, '^src/main'];
+  const override = [{ pattern: 'src/*.gen.js', glob: true, disabled: true }];
+  assert.deepStrictEqual(Array.from(helpers.compileKeepRules(config, override), re => re.source), ['^src\\/main'], 'disabled local rules switch off graph-file rules with the same text');
+  const exported = JSON.parse(JSON.stringify({ keepRules: helpers.keepRulesForExport(config, override) }));
+  assert.deepStrictEqual(exported.keepRules, [{ regex: '^src/main' }, { pattern: 'src/*.gen.js', glob: true, disabled: true }], 'switched-off graph-file rules are exported only as their override');
+  const reimported = helpers.normalizeKeepRules(exported);
+  assert.deepStrictEqual(Array.from(helpers.compileKeepRules([], reimported), re => re.source), ['^src\\/main']);
+  assert.deepStrictEqual(Array.from(helpers.compileKeepRules(config, reimported), re => re.source), ['^src\\/main', '^src\\/main']);
+});
+
+test('builds a profile matrix of primary statuses', () => {
+  const rawGraph = {
+    entrypoints: ['src/main.js'],
+    profiles: ['web', 'server'],
+    nodes: [{ id: 'src/main.js' }, { id: 'src/dom.js' }, { id: 'src/orphan.js' }],
+    edges: [{ source: 'src/main.js', target: 'src/dom.js', profiles: ['web'] }]
+  };
+  const { graph, profiles } = preprocessGraph({ rawGraph });
+  const matrix = helpers.buildProfileMatrix(graph.nodes, profiles);
+  assert.deepStrictEqual(Array.from(matrix.profiles), ['web', 'server']);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(matrix.rows)), [
+    { id: 'src/main.js', statuses: { web: 'reachable_current', server: 'reachable_current' }, differs: false },
+    { id: 'src/dom.js', statuses: { web: 'reachable_current', server: 'reachable_other_profile' }, differs: true },
+    { id: 'src/orphan.js', statuses: { web: 'disconnected_all_profiles', server: 'disconnected_all_profiles' }, differs: false }
+  ]);
+});
+
+test('merges local profile definitions and recomputes reachability', () => {
+  const rawGraph = {
+    entrypoints: ['src/main.js'],
+    profiles: [{ name: 'default', flags: { legacyCheckout: true, region: 'eu' } }],
+    nodes: [{ id: 'src/main.js' }, { id: 'src/checkout-v1.js' }],
+    edges: [{ source: 'src/main.js', target: 'src/checkout-v1.js', flags: { legacyCheckout: true, region: 'eu' } }]
+  };
+  const merged = helpers.mergeLocalProfiles([{ name: 'default', flags: {} }], [{ name: 'default' }, { name: 'lite', flags: { a: 1 } }, null]);
+  assert.deepStrictEqual(merged.map(profile => profile.name), ['default', 'lite'], 'local profiles never replace graph profiles');
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(helpers.collectProfileFlags(rawGraph.edges, []))), [
+    { name: 'legacyCheckout', values: [] },
+    { name: 'region', values: ['eu'] }
+  ]);
+
+  const session = GraphPreprocessing.createGraphSession({ rawGraph });
+  const delta = GraphPreprocessing.applyGraphDelta(session, {
+    localProfiles: [{ name: 'no-legacy', flags: { legacyCheckout: false, region: 'eu' } }]
+  });
+  assert.deepStrictEqual(Array.from(delta.profiles, profile => profile.name), ['default', 'no-legacy']);
+  const node = session.state.graph.nodes.find(n => n.id === 'src/checkout-v1.js');
+  assert.strictEqual(node.primaryByProfile.default, 'reachable_current');
+  assert.strictEqual(node.primaryByProfile['no-legacy'], 'reachable_other_profile');
+});
+
+test('flags exports that no reachable file imports', () => {
+  const rawGraph = {
+    entrypoints: ['/app/src/main.js'],
+    profiles: ['web', 'admin'],
+    nodes: [
+      { id: '/app/src/main.js' },
+      { id: '/app/src/util/index.js' },
+      { id: '/app/src/util/math.js' },
+      { id: '/app/src/admin.js' }
+    ],
+    edges: [
+      { source: '/app/src/main.js', target: '/app/src/util/index.js' },
+      { source: '/app/src/util/index.js', target: '/app/src/util/math.js' },
+      { source: '/app/src/main.js', target: '/app/src/admin.js', profiles: ['admin'] },
+      { source: '/app/src/admin.js', target: '/app/src/util/math.js', profiles: ['admin'] }
+    ],
+    exports: {
+      '/app/src/main.js': { named: ['start'] },
+      '/app/src/util/math.js': { named: ['add', 'sub', 'mul'], functions: ['add', 'sub', 'mul', 'helper'] },
+      '/app/src/util/index.js': { starReexports: ['./math.js'] },
+      '/app/src/admin.js': { named: ['panel'], default: ['{...}'] }
+    },
+    imports: {
+      '/app/src/main.js': [
+        { kind: 'import', spec: './util', named: ['total'], namedOriginal: ['add'] },
+        { kind: 'dynamic', spec: './admin.js' }
+      ],
+      '/app/src/util/index.js': [{ kind: 'reexport', spec: './math.js' }],
+      '/app/src/admin.js': [{ kind: 'import', spec: './util/math', named: ['mul'] }, { kind: 'import', spec: 'react', default: 'React' }]
+    }
+  };
+  const session = GraphPreprocessing.createGraphSession({ rawGraph });
+  const node = id => session.state.graph.nodes.find(n => n.id === id);
+  const imports = JSON.parse(JSON.stringify(node('/app/src/main.js').imports));
+  assert.deepStrictEqual(imports[0], { spec: './util', kind: 'import', names: ['add'], target: '/app/src/util/index.js' });
+  assert.strictEqual(imports[1].all, true, 'dynamic imports use every export');
+  assert.strictEqual(node('/app/src/admin.js').imports[1].target, null, 'package specs stay unresolved');
+
+  const math = node('/app/src/util/math.js');
+  assert.deepStrictEqual(Array.from(math.unusedExportsByProfile.web), ['mul', 'sub'], 'export * forwards requested names');
+  assert.deepStrictEqual(Array.from(math.unusedExportsByProfile.admin), ['sub']);
+  assert.deepStrictEqual(Array.from(node('/app/src/main.js').unusedExportsByProfile.web), [], 'entrypoint exports are public API');
+  assert.strictEqual(node('/app/src/admin.js').unusedExportsByProfile.web, undefined, 'unreachable files are not reported');
+  const summary = session.result.summary.unusedExports.byProfile;
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(summary.web)), { count: 2, files: 1, items: [{ id: '/app/src/util/math.js', symbols: ['mul', 'sub'] }] });
+
+  const delta = GraphPreprocessing.applyGraphDelta(session, { removeEdges: [{ source: '/app/src/main.js', target: '/app/src/admin.js' }] });
+  assert.strictEqual(delta.summary.unusedExports.byProfile.admin.count, 2);
+  assert.ok(delta.changedNodes.some(patch => patch.id === '/app/src/util/math.js'));
+
+  assert.strictEqual(preprocessGraph({ rawGraph: { nodes: [{ id: 'a.js', exports: { named: ['x'] } }], edges: [] } }).summary.unusedExports, null);
+});
+
+test('imports Istanbul, V8 and lcov coverage and contrasts it with reachability', () => {
+  const lcov = 'TN:\nSF:src/a.js\nFNDA:3,run\nDA:1,1\nDA:2,0\nDA:3,5\nLF:3\nLH:2\nend_of_record\nSF:src/missing.js\nDA:1,1\nend_of_record\n';
+  const lcovReport = GraphPreprocessing.importCoverage(lcov, { name: 'lcov.info' });
+  assert.strictEqual(lcovReport.format, 'lcov');
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(lcovReport.files[0])), { path: 'src/a.js', hits: 5, lines: { covered: 2, total: 3 }, pct: 66.7 });
+
+  const v8 = { result: [
+    { url: 'file:///C:/app/src/b.js', functions: [
+      { functionName: '', ranges: [{ startOffset: 0, endOffset: 100, count: 1 }, { startOffset: 40, endOffset: 60, count: 0 }] },
+      { functionName: 'f', ranges: [{ startOffset: 10, endOffset: 30, count: 4 }] }
+    ] },
+    { url: 'node:internal/fs', functions: [] }
+  ] };
+  const v8Report = GraphPreprocessing.importCoverage(JSON.stringify(v8));
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(v8Report.files)), [{ path: 'C:/app/src/b.js', hits: 4, lines: null, pct: 80 }]);
+
+  const istanbul = { 'C:/app/src/c.js': { path: 'C:\\app\\src\\c.js', statementMap: { 0: { start: { line: 1 } }, 1: { start: { line: 2 } } }, s: { 0: 0, 1: 0 }, f: {} } };
+  assert.strictEqual(helpers.detectCoverageFormat(istanbul), 'istanbul');
+  assert.throws(() => GraphPreprocessing.importCoverage({ unrelated: true }), /Unrecognized coverage format/);
+
+  const rawGraph = {
+    entrypoints: ['C:\\app\\src\\a.js'],
+    nodes: [
+      { id: 'C:\\app\\src\\a.js' },
+      { id: 'C:\\app\\src\\b.js' },
+      { id: 'C:\\app\\src\\c.js' },
+      { id: 'C:\\app\\src\\d.js' },
+      { id: 'lodash', type: 'external' }
+    ],
+    edges: [
+      { source: 'C:\\app\\src\\a.js', target: 'C:\\app\\src\\c.js' },
+      { source: 'C:\\app\\src\\a.js', target: 'lodash' }
+    ]
+  };
+  const session = GraphPreprocessing.createGraphSession({ rawGraph });
+  const delta = GraphPreprocessing.applyGraphDelta(session, { coverage: [{ data: lcov, name: 'lcov.info' }, { data: v8 }, { data: istanbul }] });
+  assert.deepStrictEqual(Array.from(delta.coverage, report => report.format), ['lcov', 'v8', 'istanbul']);
+  const summary = delta.summary.coverage;
+  assert.strictEqual(summary.matched, 3);
+  assert.deepStrictEqual(Array.from(summary.unmatchedPaths), ['src/missing.js']);
+  assert.strictEqual(summary.executed, 2);
+  const node = id => session.state.graph.nodes.find(n => n.id === id);
+  assert.strictEqual(node('C:\\app\\src\\a.js').coverageFormat, 'lcov', 'relative lcov paths match by suffix');
+  assert.strictEqual(node('C:\\app\\src\\d.js').coverageHits, 0, 'files absent from coverage were not executed');
+  assert.strictEqual(node('lodash').coverageHits, undefined);
+
+  const contrast = helpers.compareCoverageWithReachability(session.state.graph.nodes, 'default');
+  assert.deepStrictEqual(Array.from(contrast.reachableNotExecuted), ['C:\\app\\src\\c.js']);
+  assert.deepStrictEqual(Array.from(contrast.executedNotReachable), ['C:\\app\\src\\b.js']);
+  assert.strictEqual(contrast.executedReachable, 1);
+
+  const cleared = GraphPreprocessing.applyGraphDelta(session, { coverage: [] });
+  assert.strictEqual(cleared.summary.coverage, null);
+  assert.strictEqual(node('C:\\app\\src\\b.js').coverageHits, undefined);
+});
+
+test('merges runtime module-load traces as observed edges', () => {
+  const ndjson = [
+    JSON.stringify({ parent: 'file:///app/src/main.js', child: 'file:///app/src/a.js' }),
+    JSON.stringify({ parent: 'file:///app/src/main.js', child: 'file:///app/src/a.js' }),
+    JSON.stringify({ parent: '/app/src/a.js', child: '/app/src/plugin.js', kind: 'require' }),
+    JSON.stringify({ parent: '/app/src/a.js', child: '/app/src/missing.js' })
+  ].join('\n');
+  const trace = GraphPreprocessing.importLoadTrace(ndjson, { name: 'loads.ndjson' });
+  assert.strictEqual(trace.format, 'ndjson');
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(trace.loads[0])), { parent: 'file:///app/src/main.js', child: 'file:///app/src/a.js', kind: 'load', count: 2 });
+
+  const har = { log: { entries: [
+    { _resourceType: 'script', request: { url: 'http://localhost:8080/src/lazy.js' }, _initiator: { type: 'script', stack: { callFrames: [{ url: 'http://localhost:8080/src/main.js' }] } } },
+    { _resourceType: 'image', request: { url: 'http://localhost:8080/logo.png' }, _initiator: { url: 'http://localhost:8080/src/main.js' } }
+  ] } };
+  assert.deepStrictEqual(Array.from(GraphPreprocessing.importLoadTrace(JSON.stringify(har)).loads, load => load.child), ['http://localhost:8080/src/lazy.js']);
+  const cdp = [{ method: 'Network.requestWillBeSent', params: { type: 'Script', request: { url: 'http://x/src/lazy.js' }, initiator: { url: 'http://x/src/main.js' } } }];
+  assert.strictEqual(GraphPreprocessing.importLoadTrace(cdp).format, 'cdp');
+  assert.throws(() => GraphPreprocessing.importLoadTrace({ unrelated: true }), /Unrecognized load trace/);
+
+  const rawGraph = {
+    entrypoints: ['/app/src/main.js'],
+    nodes: [{ id: '/app/src/main.js' }, { id: '/app/src/a.js' }, { id: '/app/src/plugin.js' }, { id: '/app/src/lazy.js' }],
+    edges: [{ source: '/app/src/main.js', target: '/app/src/a.js', kind: 'import' }]
+  };
+  const session = GraphPreprocessing.createGraphSession({ rawGraph });
+  const delta = GraphPreprocessing.applyGraphDelta(session, { loadTraces: [{ data: ndjson, name: 'loads.ndjson' }, { data: har }] });
+  const summary = delta.summary.traces;
+  assert.strictEqual(summary.confirmedEdges, 1);
+  assert.strictEqual(summary.observedEdges, 2);
+  assert.deepStrictEqual(Array.from(summary.unmatchedPaths), ['/app/src/missing.js']);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(delta.confirmedEdges)), [{ source: '/app/src/main.js', target: '/app/src/a.js', kind: 'import', tracedCount: 2 }]);
+  assert.deepStrictEqual(Array.from(delta.edgesAdded, edge => `${edge.target}:${edge.certainty}`).sort(), ['/app/src/lazy.js:observed', '/app/src/plugin.js:observed']);
+  const edges = session.state.graph.edges;
+  assert.strictEqual(helpers.edgeEvidence(edges[0]), 'both');
+  assert.strictEqual(helpers.edgeEvidence(edges.find(edge => edge.target === '/app/src/plugin.js')), 'observed');
+
+  const result = session.state.profileResults.find(item => item.profile.name === 'default');
+  assert.ok(result.reachableStatic.has('/app/src/a.js'));
+  assert.ok(!result.reachableStatic.has('/app/src/plugin.js'));
+  assert.ok(result.reachableObserved.has('/app/src/plugin.js'));
+  assert.ok(!result.reachableNoDynamic.has('/app/src/plugin.js'));
+  const plugin = session.state.graph.nodes.find(node => node.id === '/app/src/plugin.js');
+  assert.ok(plugin.statusByProfile.default.includes('dynamic_only'), 'observed-only reachability is dynamic evidence');
+
+  const cleared = GraphPreprocessing.applyGraphDelta(session, { loadTraces: [] });
+  assert.strictEqual(cleared.summary.traces, null);
+  assert.strictEqual(cleared.edgesRemoved.length, 2);
+  assert.strictEqual(session.state.graph.edges.length, 1);
+  assert.strictEqual(session.state.graph.edges[0].tracedCount, undefined);
+
+  const crawled = GraphPreprocessing.createGraphSession({ rawGraph: { ...rawGraph, edges: [{ ...rawGraph.edges[0], observedCount: 3 }] } });
+  GraphPreprocessing.applyGraphDelta(crawled, { loadTraces: [] });
+  assert.strictEqual(crawled.state.graph.edges[0].observedCount, 3, 'crawler evidence survives clearing traces');
+  assert.strictEqual(helpers.edgeEvidence(crawled.state.graph.edges[0]), 'both');
+});
+
+test('orders graph snapshots and summarizes each for the timeline', () => {
+  const manifest = helpers.parseSnapshotManifest(JSON.stringify({ snapshots: [
+    { file: 'crawls/march.json', label: 'March', date: '2024-03-01' },
+    'crawls/graph-2024-04-01.json'
+  ] }));
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(manifest)), [
+    { file: 'crawls/march.json', label: 'March', date: '2024-03-01' },
+    { file: 'crawls/graph-2024-04-01.json', label: '2024-04-01', date: '2024-04-01' }
+  ]);
+  assert.strictEqual(helpers.parseSnapshotManifest(JSON.stringify({ nodes: [], edges: [] })), null, 'graph files are not manifests');
+  assert.strictEqual(helpers.parseSnapshotManifest('not json'), null);
+
+  const ordered = helpers.orderSnapshots(['graph-20240301.json', 'graph-20240115T0930.json', 'run-10.json', 'run-9.json']);
+  assert.deepStrictEqual(Array.from(ordered, entry => entry.file), ['graph-20240115T0930.json', 'graph-20240301.json', 'run-9.json', 'run-10.json']);
+  assert.strictEqual(ordered[0].date, '2024-01-15T09:30:00');
+  assert.strictEqual(ordered[2].label, 'run-9');
+
+  const result = preprocessGraph({ rawGraph: {
+    entrypoints: ['src/main.js'],
+    nodes: [
+      { id: 'src/main.js' },
+      { id: 'src/a.js', securityFindings: [{ id: 'eval', severity: 'high' }] },
+      { id: 'src/b.js' },
+      { id: 'src/orphan.js' }
+    ],
+    edges: [
+      { source: 'src/main.js', target: 'src/a.js' },
+      { source: 'src/a.js', target: 'src/b.js' },
+      { source: 'src/b.js', target: 'src/a.js' }
+    ]
+  } });
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(GraphPreprocessing.summarizeSnapshot(result))), { nodes: 4, edges: 3, disconnected: 1, cycles: 1, findings: 1 });
+});
+
+test('computes depth, transitive fan-in/out, betweenness and package instability', () => {
+  const rawGraph = {
+    entrypoints: ['src/main.js'],
+    nodes: [
+      { id: 'src/main.js', package: 'app' },
+      { id: 'src/hub.js', package: 'app' },
+      { id: 'lib/a.js', package: 'lib' },
+      { id: 'lib/b.js', package: 'lib' },
+      { id: 'src/loose.js' }
+    ],
+    edges: [
+      { source: 'src/main.js', target: 'src/hub.js' },
+      { source: 'src/hub.js', target: 'lib/a.js' },
+      { source: 'lib/a.js', target: 'lib/b.js' },
+      { source: 'lib/b.js', target: 'lib/a.js' },
+      { source: 'src/loose.js', target: 'src/hub.js' }
+    ]
+  };
+  const session = GraphPreprocessing.createGraphSession({ rawGraph });
+  const node = id => session.state.graph.nodes.find(n => n.id === id);
+  assert.strictEqual(node('lib/b.js').depthByProfile.default, 3);
+  assert.strictEqual(node('src/loose.js').depthByProfile.default, undefined, 'unreached files have no depth');
+  assert.strictEqual(node('src/main.js').fanOutTransitive, 3);
+  assert.strictEqual(node('lib/a.js').fanInTransitive, 4, 'cycle members reach each other');
+  assert.strictEqual(node('lib/a.js').fanOutTransitive, 1);
+  assert.ok(node('src/hub.js').betweenness > node('lib/a.js').betweenness, 'the hub is the choke point');
+  assert.strictEqual(node('src/main.js').betweenness, 0);
+  assert.strictEqual(node('src/main.js').instability, 0.5, 'files carry their package value');
+  assert.strictEqual(node('lib/a.js').instability, 0);
+  assert.strictEqual(node('src/loose.js').instability, null);
+  const metrics = session.result.summary.metrics;
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(metrics.packages)), [
+    { name: 'app', files: 2, ca: 1, ce: 1, instability: 0.5 },
+    { name: 'lib', files: 2, ca: 1, ce: 0, instability: 0 }
+  ]);
+  assert.strictEqual(metrics.depth.byProfile.default.maxDepth, 3);
+  assert.strictEqual(metrics.maxBetweenness, node('src/hub.js').betweenness);
+
+  const delta = GraphPreprocessing.applyGraphDelta(session, { addEdges: [{ source: 'src/main.js', target: 'lib/b.js' }] });
+  const metricsFor = id => delta.nodeMetrics.find(entry => entry.id === id);
+  assert.strictEqual(metricsFor('lib/b.js').depthByProfile.default, 1);
+  assert.strictEqual(metricsFor('src/main.js').fanOutTransitive, 3);
+  assert.strictEqual(delta.summary.metrics.depth.byProfile.default.maxDepth, 2);
+  assert.strictEqual(GraphPreprocessing.applyGraphDelta(session, { localKeepRules: [] }).nodeMetrics, null);
+});
+
+test('fingerprints graphs by project root or by their node ids', () => {
+  const rooted = [{ id: '/work/app/src/a.js' }, { id: '/work/app/lib/b.js' }];
+  assert.strictEqual(helpers.graphFingerprint({}, rooted), 'root:/work/app');
+  const relative = [{ id: 'src/a.js' }, { id: 'src/b.js' }];
+  const fingerprint = helpers.graphFingerprint({}, relative);
+  assert.match(fingerprint, /^ids:[0-9a-f]{8}$/);
+  assert.strictEqual(helpers.graphFingerprint({}, relative.slice().reverse()), fingerprint, 'node order does not matter');
+  assert.notStrictEqual(helpers.graphFingerprint({}, relative.concat({ id: 'src/c.js' })), fingerprint);
+});
+
 console.log('All GraphPreprocessing tests passed.');